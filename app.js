@@ -1,25 +1,65 @@
 ﻿(() => {
   "use strict";
 
-  const KEY_SEP = "\u001f";
-  const MONTH_NAMES = [
-    "Jan",
-    "Feb",
-    "Mar",
-    "Apr",
-    "May",
-    "Jun",
-    "Jul",
-    "Aug",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Dec",
+  const {
+    browserTimeZone,
+    cancelledError,
+    compareSongsByPlayCount,
+    createZonedClock,
+    errorMessage,
+    formatHourLabel,
+    formatMonthLabel,
+    formatNumber,
+    formatZonedDateTime,
+    round2,
+    round4,
+    runImportJob,
+    runReportJob,
+  } = self.ReportCore;
+
+  const DASHBOARD_ROW_LIMIT = 200;
+  const PDF_THEME = {
+    navy: [8, 32, 54],
+    navySoft: [18, 56, 89],
+    green: [43, 127, 102],
+    textDark: [24, 42, 61],
+    textLight: [234, 245, 255],
+    line: [198, 217, 229],
+  };
+  const GREEN_BAR_COLORS = [
+    "rgba(62,157,127,0.85)",
+    "rgba(56,145,117,0.85)",
+    "rgba(49,132,106,0.85)",
+    "rgba(42,118,95,0.85)",
+    "rgba(36,106,85,0.85)",
+    "rgba(31,93,75,0.85)",
+    "rgba(26,83,66,0.85)",
+    "rgba(21,73,58,0.85)",
+  ];
+  const SERIES_COLORS = [
+    "rgba(43,127,102,0.85)",
+    "rgba(18,56,89,0.85)",
+    "rgba(214,138,44,0.85)",
+    "rgba(112,83,158,0.85)",
+    "rgba(196,84,72,0.85)",
+    "rgba(70,150,190,0.85)",
+    "rgba(176,112,150,0.85)",
+    "rgba(140,150,160,0.85)",
   ];
 
   const state = {
     files: [],
+    fileFormats: new Map(),
+    libraries: [],
     processing: false,
+    job: null,
+    dashboard: {
+      report: null,
+      charts: [],
+      query: "",
+      sortKey: "playCount",
+      sortDir: -1,
+    },
   };
 
   const dom = {
@@ -29,20 +69,88 @@
     clearFilesBtn: document.getElementById("clearFilesBtn"),
     fileSummary: document.getElementById("fileSummary"),
     fileList: document.getElementById("fileList"),
+    librarySelect: document.getElementById("librarySelect"),
+    libraryDetails: document.getElementById("libraryDetails"),
+    libraryNameField: document.getElementById("libraryNameField"),
+    libraryNameInput: document.getElementById("libraryNameInput"),
+    saveLibraryBtn: document.getElementById("saveLibraryBtn"),
+    deleteLibraryBtn: document.getElementById("deleteLibraryBtn"),
     processBtn: document.getElementById("processBtn"),
+    cancelBtn: document.getElementById("cancelBtn"),
     statusText: document.getElementById("statusText"),
     statusLog: document.getElementById("statusLog"),
+    timeZoneSelect: document.getElementById("timeZoneSelect"),
+    sessionGapInput: document.getElementById("sessionGapInput"),
+    bingeThresholdInput: document.getElementById("bingeThresholdInput"),
+    skipThresholdInput: document.getElementById("skipThresholdInput"),
+    incognitoTopsSelect: document.getElementById("incognitoTopsSelect"),
+    playRuleSelect: document.getElementById("playRuleSelect"),
+    playRulePercentField: document.getElementById("playRulePercentField"),
+    playRulePercentInput: document.getElementById("playRulePercentInput"),
+    playRuleSecondsField: document.getElementById("playRuleSecondsField"),
+    playRuleSecondsInput: document.getElementById("playRuleSecondsInput"),
+    trackIdentitySelect: document.getElementById("trackIdentitySelect"),
+    compareModeSelect: document.getElementById("compareModeSelect"),
+    compareYears: document.getElementById("compareYears"),
+    compareYearA: document.getElementById("compareYearA"),
+    compareYearB: document.getElementById("compareYearB"),
+    compareRanges: document.getElementById("compareRanges"),
+    compareFromA: document.getElementById("compareFromA"),
+    compareToA: document.getElementById("compareToA"),
+    compareFromB: document.getElementById("compareFromB"),
+    compareToB: document.getElementById("compareToB"),
+    filterDateFrom: document.getElementById("filterDateFrom"),
+    filterDateTo: document.getElementById("filterDateTo"),
+    filterIncludeArtists: document.getElementById("filterIncludeArtists"),
+    filterExcludeArtists: document.getElementById("filterExcludeArtists"),
+    filterPlatforms: document.getElementById("filterPlatforms"),
+    filterCountries: document.getElementById("filterCountries"),
+    filterMinSeconds: document.getElementById("filterMinSeconds"),
+    filterShuffle: document.getElementById("filterShuffle"),
+    filterIncognito: document.getElementById("filterIncognito"),
+    filterOffline: document.getElementById("filterOffline"),
+    resetFiltersBtn: document.getElementById("resetFiltersBtn"),
+    recapOptions: document.getElementById("recapOptions"),
+    recapYearInput: document.getElementById("recapYearInput"),
+    dashboardPanel: document.getElementById("dashboardPanel"),
+    dashboardMeta: document.getElementById("dashboardMeta"),
+    dashboardCards: document.getElementById("dashboardCards"),
+    dashboardDetail: document.getElementById("dashboardDetail"),
+    dashMonthlyChart: document.getElementById("dashMonthlyChart"),
+    dashArtistsChart: document.getElementById("dashArtistsChart"),
+    dashYearlyChart: document.getElementById("dashYearlyChart"),
+    dashSongSearch: document.getElementById("dashSongSearch"),
+    dashMonthSelect: document.getElementById("dashMonthSelect"),
+    dashSongCount: document.getElementById("dashSongCount"),
+    dashSongTable: document.getElementById("dashSongTable"),
   };
 
   init();
 
   function init() {
+    populateTimeZoneOptions();
+    dom.recapYearInput.value = String(new Date().getFullYear());
+    dom.compareYearA.value = String(new Date().getFullYear() - 1);
+    dom.compareYearB.value = String(new Date().getFullYear());
     bindFileInputEvents();
     bindDropEvents();
     bindActionEvents();
+    bindDashboardEvents();
     updateModeCardStates();
     updateProcessState();
     renderSelectedFiles();
+    pruneLibraryStorage();
+    refreshLibraries();
+    registerServiceWorker();
+  }
+
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || window.location.protocol === "file:") {
+      return;
+    }
+    navigator.serviceWorker.register("sw.js").catch((error) => {
+      addStatus(`Offline support unavailable: ${errorMessage(error)}`, "warn");
+    });
   }
 
   function bindFileInputEvents() {
@@ -53,6 +161,12 @@
       dom.fileInput.value = "";
     });
     dom.clearFilesBtn.addEventListener("click", clearFiles);
+    dom.librarySelect.addEventListener("change", () => {
+      renderLibraryDetails();
+      updateProcessState();
+    });
+    dom.saveLibraryBtn.addEventListener("click", handleSaveLibrary);
+    dom.deleteLibraryBtn.addEventListener("click", handleDeleteLibrary);
   }
 
   function bindDropEvents() {
@@ -88,6 +202,16 @@
 
   function bindActionEvents() {
     dom.processBtn.addEventListener("click", handleProcess);
+    dom.cancelBtn.addEventListener("click", cancelProcessing);
+    dom.resetFiltersBtn.addEventListener("click", resetFilters);
+    dom.playRuleSelect.addEventListener("change", () => {
+      dom.playRulePercentField.hidden = dom.playRuleSelect.value !== "percent";
+      dom.playRuleSecondsField.hidden = dom.playRuleSelect.value !== "custom";
+    });
+    dom.compareModeSelect.addEventListener("change", () => {
+      dom.compareYears.hidden = dom.compareModeSelect.value !== "years";
+      dom.compareRanges.hidden = dom.compareModeSelect.value !== "ranges";
+    });
     document.querySelectorAll("input[name='outputMode']").forEach((radio) => {
       radio.addEventListener("change", () => {
         updateModeCardStates();
@@ -96,12 +220,84 @@
     });
   }
 
+  function bindDashboardEvents() {
+    dom.dashSongSearch.addEventListener("input", () => {
+      state.dashboard.query = dom.dashSongSearch.value.trim().toLowerCase();
+      renderDashboardSongs();
+    });
+    dom.dashMonthSelect.addEventListener("change", () => {
+      if (dom.dashMonthSelect.value) {
+        showMonthDetail(dom.dashMonthSelect.value);
+      }
+    });
+    dom.dashSongTable.querySelector("thead").addEventListener("click", (event) => {
+      const header = event.target.closest("th[data-sort]");
+      if (!header) {
+        return;
+      }
+      const key = header.dataset.sort;
+      if (state.dashboard.sortKey === key) {
+        state.dashboard.sortDir *= -1;
+      } else {
+        state.dashboard.sortKey = key;
+        state.dashboard.sortDir = header.dataset.type === "text" ? 1 : -1;
+      }
+      renderDashboardSongs();
+    });
+    dom.dashboardPanel.addEventListener("click", (event) => {
+      const artistLink = event.target.closest("[data-artist]");
+      if (artistLink) {
+        showArtistDetail(artistLink.dataset.artist);
+        return;
+      }
+      if (event.target.closest("[data-close-detail]")) {
+        dom.dashboardDetail.hidden = true;
+        dom.dashMonthSelect.value = "";
+      }
+    });
+  }
+
   function updateModeCardStates() {
     const cards = document.querySelectorAll(".mode-card");
     cards.forEach((card) => {
       const input = card.querySelector("input[name='outputMode']");
       card.classList.toggle("is-selected", Boolean(input?.checked));
     });
+    dom.recapOptions.hidden = getSelectedMode() !== "recap";
+  }
+
+  function populateTimeZoneOptions() {
+    const browserZone = browserTimeZone();
+    const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    const options = Array.from(new Set([browserZone, "UTC", ...zones]));
+
+    dom.timeZoneSelect.innerHTML = options
+      .map(
+        (zone) =>
+          `<option value="${escapeHtml(zone)}">${escapeHtml(
+            zone === browserZone ? `${zone} (browser)` : zone
+          )}</option>`
+      )
+      .join("");
+    dom.timeZoneSelect.value = browserZone;
+  }
+
+  function resetFilters() {
+    [
+      dom.filterDateFrom,
+      dom.filterDateTo,
+      dom.filterIncludeArtists,
+      dom.filterExcludeArtists,
+      dom.filterPlatforms,
+      dom.filterCountries,
+      dom.filterMinSeconds,
+    ].forEach((input) => {
+      input.value = "";
+    });
+    [dom.filterShuffle, dom.filterIncognito, dom.filterOffline].forEach((select) => {
+      select.value = "any";
+    });
+    addStatus("Filters reset.");
   }
 
   function addFiles(incomingFiles) {
@@ -143,6 +339,7 @@
 
   function clearFiles() {
     state.files = [];
+    state.fileFormats = new Map();
     renderSelectedFiles();
     updateProcessState();
     addStatus("Selected files cleared.");
@@ -160,383 +357,339 @@
     dom.fileSummary.textContent = `${state.files.length} file(s) selected (${jsonCount} JSON, ${zipCount} ZIP).`;
 
     dom.fileList.innerHTML = state.files
-      .map(
-        (file) =>
-          `<li><span class="name" title="${escapeHtml(file.name)}">${escapeHtml(
-            file.name
-          )}</span><span class="size">${formatFileSize(file.size)}</span></li>`
-      )
+      .map((file) => {
+        const formats = state.fileFormats.get(fileUniqueKey(file)) || [];
+        return `<li><span class="name" title="${escapeHtml(file.name)}">${escapeHtml(
+          file.name
+        )}</span>${
+          formats.length ? `<span class="format">${escapeHtml(formats.join(", "))}</span>` : ""
+        }<span class="size">${formatFileSize(file.size)}</span></li>`;
+      })
       .join("");
   }
 
   function updateProcessState() {
     const mode = getSelectedMode();
+    const library = selectedLibrary();
+    dom.cancelBtn.hidden = !state.processing;
+    dom.cancelBtn.disabled = !state.job;
+    dom.librarySelect.disabled = state.processing;
+    dom.saveLibraryBtn.textContent = library ? "Add Files to Library" : "Save Files as New Library";
     if (state.processing) {
       dom.statusText.textContent = "Processing your data...";
       dom.processBtn.textContent = "Processing...";
       dom.processBtn.disabled = true;
+      dom.saveLibraryBtn.disabled = true;
+      dom.deleteLibraryBtn.disabled = true;
       return;
     }
 
     const hasFiles = state.files.length > 0;
-    dom.processBtn.disabled = !hasFiles;
-    dom.processBtn.textContent =
-      mode === "pdf" ? "Process and Download PDF" : "Process and Download Excel";
-    dom.statusText.textContent = hasFiles
-      ? "Ready to process."
-      : "Add files to enable processing.";
+    dom.processBtn.disabled = !hasFiles && !library;
+    dom.saveLibraryBtn.disabled = !hasFiles || !LibraryStore.isAvailable();
+    dom.deleteLibraryBtn.disabled = !library;
+    if (mode === "dashboard") {
+      dom.processBtn.textContent = "Process and Show Dashboard";
+    } else if (mode === "recap") {
+      dom.processBtn.textContent = "Process and Download Year in Review";
+    } else {
+      dom.processBtn.textContent =
+        mode === "pdf" ? "Process and Download PDF" : "Process and Download Excel";
+    }
+    if (library) {
+      dom.statusText.textContent = `Ready to process saved library "${library.name}".`;
+    } else {
+      dom.statusText.textContent = hasFiles
+        ? "Ready to process."
+        : "Add files or choose a saved library to enable processing.";
+    }
   }
 
-  async function handleProcess() {
+  async function refreshLibraries(selectedId = selectedLibrary()?.id) {
+    state.libraries = [];
+    if (LibraryStore.isAvailable()) {
+      try {
+        state.libraries = await LibraryStore.listLibraries();
+      } catch (error) {
+        addStatus(`Saved libraries unavailable: ${errorMessage(error)}`, "warn");
+      }
+    }
+
+    dom.librarySelect.innerHTML = [
+      '<option value="">None (use selected files)</option>',
+      ...state.libraries.map(
+        (library) =>
+          `<option value="${library.id}">${escapeHtml(library.name)} (${formatNumber(
+            library.recordCount
+          )} records)</option>`
+      ),
+    ].join("");
+    dom.librarySelect.value = state.libraries.some((library) => library.id === selectedId)
+      ? String(selectedId)
+      : "";
+    renderLibraryDetails();
+    updateProcessState();
+  }
+
+  function pruneLibraryStorage() {
+    if (!LibraryStore.isAvailable()) {
+      return;
+    }
+    LibraryStore.pruneUnsavedChunks().catch((error) => {
+      addStatus(`Could not clean up unfinished library imports: ${errorMessage(error)}`, "warn");
+    });
+  }
+
+  function selectedLibrary() {
+    const libraryId = Number(dom.librarySelect.value);
+    return state.libraries.find((library) => library.id === libraryId) || null;
+  }
+
+  function renderLibraryDetails() {
+    const library = selectedLibrary();
+    dom.libraryNameField.hidden = Boolean(library);
+    if (!LibraryStore.isAvailable()) {
+      dom.libraryDetails.textContent = "This browser cannot store libraries.";
+      return;
+    }
+    if (!library) {
+      dom.libraryDetails.textContent = state.libraries.length
+        ? `${state.libraries.length} saved library(ies). Choose one to generate reports without re-uploading.`
+        : "Libraries are stored in this browser so reports can be generated without re-uploading.";
+      return;
+    }
+
+    const sources = library.imports.flatMap((entry) => entry.fileFormats.map((file) => file.name));
+    const updated = formatZonedDateTime(
+      new Date(library.updatedAt),
+      createZonedClock(browserTimeZone())
+    );
+    dom.libraryDetails.textContent = `${formatNumber(library.recordCount)} records from ${
+      sources.length
+    } file(s): ${sources.join(", ")}. Last updated ${updated}.`;
+  }
+
+  async function handleSaveLibrary() {
     if (!state.files.length || state.processing) {
       return;
     }
 
+    const library = selectedLibrary();
+    const target = library
+      ? { libraryId: library.id }
+      : {
+          name:
+            dom.libraryNameInput.value.trim() ||
+            `Library ${new Date().toISOString().slice(0, 10)}`,
+        };
+
     state.processing = true;
     resetStatusLog();
     updateProcessState();
 
     try {
-      validateLibraries(getSelectedMode());
-      addStatus("Reading selected files...");
-      const parsedInput = await parseUploadedFiles(state.files);
-
-      if (!parsedInput.records.length) {
-        throw new Error("No valid JSON streaming records were found in the selected files.");
-      }
-
+      validateLibraries("import");
+      state.job = startImportJob(state.files, target);
+      updateProcessState();
+      const saved = await state.job.result;
+      state.job = null;
+      state.files = [];
+      state.fileFormats = new Map();
+      dom.libraryNameInput.value = "";
+      renderSelectedFiles();
+      await refreshLibraries(saved.id);
       addStatus(
-        `Loaded ${formatNumber(parsedInput.records.length)} total records from ${parsedInput.parsedJsonCount} JSON file(s).`,
+        `Library "${saved.name}" now holds ${formatNumber(saved.recordCount)} records. Reports will use it until you choose "None".`,
         "ok"
       );
+    } catch (error) {
+      addStatus(errorMessage(error), error?.cancelled ? "warn" : "error");
+    } finally {
+      state.processing = false;
+      state.job = null;
+      updateProcessState();
+    }
+  }
+
+  async function handleDeleteLibrary() {
+    const library = selectedLibrary();
+    if (!library || state.processing) {
+      return;
+    }
+    if (!window.confirm(`Delete the saved library "${library.name}"? This cannot be undone.`)) {
+      return;
+    }
 
-      const report = buildReport(parsedInput.records, parsedInput);
-      if (report.songRecordsUsed === 0) {
-        throw new Error("No song records were found after filtering out non-song entries.");
+    try {
+      await LibraryStore.deleteLibrary(library.id);
+      addStatus(`Library "${library.name}" deleted.`);
+    } catch (error) {
+      addStatus(`Could not delete library: ${errorMessage(error)}`, "error");
+    }
+    await refreshLibraries(null);
+  }
+
+  async function handleProcess() {
+    const library = selectedLibrary();
+    if ((!state.files.length && !library) || state.processing) {
+      return;
+    }
+
+    state.processing = true;
+    resetStatusLog();
+    updateProcessState();
+
+    try {
+      validateLibraries(getSelectedMode());
+      const source = library ? { libraryId: library.id } : { files: state.files };
+      state.job = startReportJob(source, getReportOptions(getSelectedMode()));
+      updateProcessState();
+      const report = await state.job.result;
+      state.job = null;
+      updateProcessState();
+      if (!library) {
+        state.fileFormats = new Map(
+          report.parsedInputMeta.fileFormats.map((entry, index) => [
+            fileUniqueKey(source.files[index]),
+            entry.formats,
+          ])
+        );
+        renderSelectedFiles();
       }
 
       const mode = getSelectedMode();
       if (mode === "excel") {
         const filename = exportExcelReport(report);
         addStatus(`Excel report generated: ${filename}`, "ok");
+      } else if (mode === "dashboard") {
+        renderDashboard(report);
+        addStatus("Dashboard rendered below.", "ok");
+      } else if (mode === "recap") {
+        const filename = await exportYearInReviewPdf(report.yearInReview);
+        addStatus(`Year in Review generated: ${filename}`, "ok");
       } else {
         const filename = await exportSimplifiedPdf(report);
         addStatus(`PDF report generated: ${filename}`, "ok");
       }
     } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      addStatus(message, "error");
+      addStatus(errorMessage(error), error?.cancelled ? "warn" : "error");
     } finally {
       state.processing = false;
+      state.job = null;
       updateProcessState();
     }
   }
 
-  function validateLibraries(mode) {
-    if (typeof JSZip === "undefined") {
-      throw new Error("JSZip failed to load.");
-    }
-    if (mode === "excel" && typeof XLSX === "undefined") {
-      throw new Error("XLSX library failed to load.");
-    }
-    if (mode === "pdf") {
-      if (!window.jspdf?.jsPDF) {
-        throw new Error("jsPDF failed to load.");
-      }
-      if (typeof Chart === "undefined") {
-        throw new Error("Chart.js failed to load.");
-      }
-      if (typeof window.jspdf.jsPDF.API.autoTable !== "function") {
-        throw new Error("jsPDF AutoTable plugin failed to load.");
-      }
+  function cancelProcessing() {
+    if (state.job) {
+      state.job.cancel();
     }
   }
 
-  async function parseUploadedFiles(files) {
-    const records = [];
-    let parsedJsonCount = 0;
-    let zipCount = 0;
-    let jsonCount = 0;
-    let skippedCount = 0;
-
-    for (const file of files) {
-      const lower = file.name.toLowerCase();
-      if (lower.endsWith(".zip")) {
-        zipCount += 1;
-        addStatus(`Scanning ZIP: ${file.name}`);
-        const zipRecords = await parseZipFile(file);
-        records.push(...zipRecords.records);
-        parsedJsonCount += zipRecords.parsedJsonCount;
-        skippedCount += zipRecords.skippedEntries;
-      } else if (lower.endsWith(".json")) {
-        jsonCount += 1;
-        try {
-          const jsonRecords = await parseJsonBlob(file, file.name);
-          records.push(...jsonRecords);
-          parsedJsonCount += 1;
-        } catch (error) {
-          skippedCount += 1;
-          addStatus(`Failed to parse ${file.name}: ${errorMessage(error)}`, "warn");
-        }
-      } else {
-        skippedCount += 1;
-        addStatus(`Unsupported file skipped: ${file.name}`, "warn");
-      }
-    }
-
-    if (zipCount > 0) {
-      addStatus(`ZIP files processed: ${zipCount}`);
-    }
-    if (jsonCount > 0) {
-      addStatus(`Direct JSON files processed: ${jsonCount}`);
-    }
-    if (skippedCount > 0) {
-      addStatus(`Skipped entries/files: ${skippedCount}`, "warn");
-    }
-
-    return { records, parsedJsonCount, zipCount, jsonCount, skippedCount };
+  function startReportJob(source, options) {
+    return startWorkerJob({ type: "run", source, options }, (hooks) =>
+      runReportJob(source, options, hooks)
+    );
   }
 
-  async function parseZipFile(file) {
-    const zip = await JSZip.loadAsync(await file.arrayBuffer());
-    const entries = Object.values(zip.files).filter(
-      (entry) => !entry.dir && entry.name.toLowerCase().endsWith(".json")
+  function startImportJob(files, target) {
+    return startWorkerJob({ type: "import", files, target }, (hooks) =>
+      runImportJob(files, target, hooks)
     );
+  }
 
-    if (!entries.length) {
-      addStatus(`No JSON files found inside ${file.name}.`, "warn");
-      return { records: [], parsedJsonCount: 0, skippedEntries: 1 };
+  function startWorkerJob(message, runInPage) {
+    let worker;
+    try {
+      worker = new Worker("report-worker.js");
+    } catch (error) {
+      addStatus("Background worker unavailable, processing on the page instead.", "warn");
+      return startInPageJob(runInPage);
     }
 
-    const records = [];
-    let parsedJsonCount = 0;
-    let skippedEntries = 0;
+    let rejectJob;
+    let started = false;
+    let inPageJob = null;
+    const result = new Promise((resolve, reject) => {
+      rejectJob = reject;
+      worker.addEventListener("message", (event) => {
+        const message = event.data;
+        started = true;
+        if (message.type === "status") {
+          addStatus(message.message, message.level);
+        } else if (message.type === "done") {
+          worker.terminate();
+          resolve(message.result);
+        } else if (message.type === "error") {
+          worker.terminate();
+          reject(new Error(message.message));
+        }
+      });
+      worker.addEventListener("error", (event) => {
+        event.preventDefault();
+        worker.terminate();
+        if (started) {
+          reject(new Error(event.message || "The background worker failed."));
+          return;
+        }
+        addStatus("Background worker failed to load, processing on the page instead.", "warn");
+        inPageJob = startInPageJob(runInPage);
+        inPageJob.result.then(resolve, reject);
+      });
+    });
 
-    for (const entry of entries) {
-      try {
-        const text = await entry.async("string");
-        const entryRecords = parseJsonText(text, `${file.name} -> ${entry.name}`);
-        records.push(...entryRecords);
-        parsedJsonCount += 1;
-      } catch (error) {
-        skippedEntries += 1;
-        addStatus(`Failed to parse ${entry.name}: ${errorMessage(error)}`, "warn");
-      }
-    }
+    worker.postMessage(message);
 
-    addStatus(`Parsed ${parsedJsonCount} JSON file(s) from ${file.name}.`);
-    return { records, parsedJsonCount, skippedEntries };
+    return {
+      result,
+      cancel() {
+        if (inPageJob) {
+          inPageJob.cancel();
+          return;
+        }
+        worker.terminate();
+        rejectJob(cancelledError());
+      },
+    };
   }
 
-  async function parseJsonBlob(file, label) {
-    const text = await file.text();
-    return parseJsonText(text, label);
+  function startInPageJob(run) {
+    let cancelled = false;
+    const hooks = {
+      status: (message, level) => addStatus(message, level),
+      isCancelled: () => cancelled,
+    };
+
+    return {
+      result: run(hooks),
+      cancel() {
+        cancelled = true;
+      },
+    };
   }
 
-  function parseJsonText(text, label) {
-    let parsed;
-    try {
-      parsed = JSON.parse(text);
-    } catch (error) {
-      throw new Error(`Invalid JSON in ${label}`);
+  function validateLibraries(mode) {
+    if (typeof JSZip === "undefined") {
+      throw new Error("JSZip failed to load from vendor/jszip.min.js.");
     }
-
-    if (!Array.isArray(parsed)) {
-      throw new Error(`Expected a JSON array in ${label}`);
+    if (mode === "excel" && typeof XLSX === "undefined") {
+      throw new Error("XLSX library failed to load from vendor/xlsx.full.min.js.");
     }
-
-    return parsed.filter((item) => item && typeof item === "object" && !Array.isArray(item));
-  }
-
-  function buildReport(records, parsedInputMeta) {
-    const songMap = new Map();
-    const artistMap = new Map();
-    const monthlySongMap = new Map();
-    const monthlyMs = new Map();
-    const yearlyMs = new Map();
-
-    let ignoredNonSong = 0;
-    let ignoredBadTimestamp = 0;
-    let songRecordsUsed = 0;
-
-    for (const record of records) {
-      if (!isSongRecord(record)) {
-        ignoredNonSong += 1;
-        continue;
+    if (mode === "dashboard" && typeof Chart === "undefined") {
+      throw new Error("Chart.js failed to load from vendor/chart.umd.js.");
+    }
+    if (mode === "pdf" || mode === "recap") {
+      if (!window.jspdf?.jsPDF) {
+        throw new Error("jsPDF failed to load from vendor/jspdf.umd.min.js.");
       }
-
-      const timestamp = parseTimestamp(record.ts);
-      if (!timestamp) {
-        ignoredBadTimestamp += 1;
-        continue;
+      if (typeof Chart === "undefined") {
+        throw new Error("Chart.js failed to load from vendor/chart.umd.js.");
       }
-
-      const song = cleanString(record.master_metadata_track_name);
-      const artist = cleanString(record.master_metadata_album_artist_name);
-      const album = cleanString(record.master_metadata_album_album_name);
-      const uri = cleanString(record.spotify_track_uri);
-      const msPlayed = sanitizeMs(record.ms_played);
-      const skipped = Boolean(record.skipped);
-      const songKey = makeSongKey(song, artist);
-      const monthKey = timestampToMonthKey(timestamp);
-      const yearKey = timestamp.getUTCFullYear();
-
-      const songEntry = songMap.get(songKey) || {
-        song,
-        artist,
-        playCount: 0,
-        skipCount: 0,
-        totalMs: 0,
-        albumCounter: new Map(),
-        uriCounter: new Map(),
-      };
-      songEntry.playCount += 1;
-      songEntry.skipCount += skipped ? 1 : 0;
-      songEntry.totalMs += msPlayed;
-      incrementCounter(songEntry.albumCounter, album);
-      incrementCounter(songEntry.uriCounter, uri);
-      songMap.set(songKey, songEntry);
-
-      const artistEntry = artistMap.get(artist) || {
-        artist,
-        playCount: 0,
-        skipCount: 0,
-        totalMs: 0,
-      };
-      artistEntry.playCount += 1;
-      artistEntry.skipCount += skipped ? 1 : 0;
-      artistEntry.totalMs += msPlayed;
-      artistMap.set(artist, artistEntry);
-
-      const monthSongs = monthlySongMap.get(monthKey) || new Map();
-      const monthSongEntry = monthSongs.get(songKey) || { playCount: 0, totalMs: 0 };
-      monthSongEntry.playCount += 1;
-      monthSongEntry.totalMs += msPlayed;
-      monthSongs.set(songKey, monthSongEntry);
-      monthlySongMap.set(monthKey, monthSongs);
-
-      monthlyMs.set(monthKey, (monthlyMs.get(monthKey) || 0) + msPlayed);
-      yearlyMs.set(yearKey, (yearlyMs.get(yearKey) || 0) + msPlayed);
-
-      songRecordsUsed += 1;
-    }
-
-    const songRows = Array.from(songMap.values()).map((entry) => {
-      const album = mostCommonCounterKey(entry.albumCounter);
-      const uri = mostCommonCounterKey(entry.uriCounter);
-      const totalMinutes = entry.totalMs / 60000;
-      return {
-        song: entry.song,
-        artist: entry.artist,
-        album,
-        uri,
-        playCount: entry.playCount,
-        skipCount: entry.skipCount,
-        skipRate: entry.playCount ? entry.skipCount / entry.playCount : 0,
-        totalMs: entry.totalMs,
-        totalMinutes,
-        totalHours: totalMinutes / 60,
-      };
-    });
-
-    songRows.sort((a, b) => compareSongsByPlayCount(a, b));
-
-    const top10ByPlayCount = [...songRows].sort(compareSongsByPlayCount).slice(0, 10);
-    const top10ByTime = [...songRows].sort(compareSongsByListenTime).slice(0, 10);
-    const top10Skipped = songRows
-      .filter((row) => row.skipCount > 0)
-      .sort(compareSongsBySkipCount)
-      .slice(0, 10);
-
-    const top3PerMonthRows = [];
-    const sortedMonths = Array.from(monthlySongMap.keys()).sort((a, b) => a.localeCompare(b));
-    for (const month of sortedMonths) {
-      const monthSongs = monthlySongMap.get(month);
-      if (!monthSongs) {
-        continue;
+      if (typeof window.jspdf.jsPDF.API.autoTable !== "function") {
+        throw new Error("jsPDF AutoTable plugin failed to load from vendor/jspdf.plugin.autotable.min.js.");
       }
-
-      const ranked = Array.from(monthSongs.entries())
-        .sort((a, b) => compareMonthlySongRank(a, b))
-        .slice(0, 3);
-
-      ranked.forEach(([songKey, monthEntry], index) => {
-        const [song, artist] = splitSongKey(songKey);
-        top3PerMonthRows.push({
-          month,
-          monthLabel: formatMonthLabel(month),
-          rank: index + 1,
-          song,
-          artist,
-          playCount: monthEntry.playCount,
-          minutesListened: monthEntry.totalMs / 60000,
-        });
-      });
     }
-
-    const monthlyMinutesRows = Array.from(monthlyMs.entries())
-      .sort((a, b) => a[0].localeCompare(b[0]))
-      .map(([month, totalMs]) => ({
-        month,
-        monthLabel: formatMonthLabel(month),
-        totalMs,
-        minutes: totalMs / 60000,
-        hours: totalMs / 3600000,
-      }));
-
-    const yearlyMinutesRows = Array.from(yearlyMs.entries())
-      .sort((a, b) => a[0] - b[0])
-      .map(([year, totalMs]) => ({
-        year,
-        totalMs,
-        minutes: totalMs / 60000,
-        hours: totalMs / 3600000,
-      }));
-
-    const peakMonth = pickPeak(monthlyMinutesRows, (row) => row.totalMs, (row) => row.month);
-    const peakYear = pickPeak(yearlyMinutesRows, (row) => row.totalMs, (row) => String(row.year));
-
-    const topArtistsByMinutes = Array.from(artistMap.values())
-      .map((row) => ({
-        artist: row.artist,
-        playCount: row.playCount,
-        skipCount: row.skipCount,
-        totalMs: row.totalMs,
-        totalMinutes: row.totalMs / 60000,
-      }))
-      .sort((a, b) => compareArtistsByTime(a, b))
-      .slice(0, 10);
-
-    const totalSongMs = songRows.reduce((sum, row) => sum + row.totalMs, 0);
-    const dataRange = monthlyMinutesRows.length
-      ? `${monthlyMinutesRows[0].monthLabel} - ${
-          monthlyMinutesRows[monthlyMinutesRows.length - 1].monthLabel
-        }`
-      : "N/A";
-
-    return {
-      parsedInputMeta,
-      totalRecordsRead: records.length,
-      songRecordsUsed,
-      ignoredNonSong,
-      ignoredBadTimestamp,
-      uniqueSongs: songRows.length,
-      totalSongMs,
-      totalMinutes: totalSongMs / 60000,
-      totalHours: totalSongMs / 3600000,
-      peakMonth,
-      peakYear,
-      dataRange,
-      songRows,
-      top10ByPlayCount,
-      top10ByTime,
-      top10Skipped,
-      top3PerMonthRows,
-      monthlyMinutesRows,
-      yearlyMinutesRows,
-      topArtistsByMinutes,
-    };
-  }
+  }
 
   function exportExcelReport(report) {
     const wb = XLSX.utils.book_new();
@@ -544,14 +697,83 @@
 
     addSheet(wb, "Summary", ["Metric", "Value"], [
       ["Generated At (UTC)", generatedUtc],
+      ["Time Zone", report.timeZone],
+      ["Active Filters", report.activeFilters.join("; ")],
+      ["Saved Library", report.parsedInputMeta.libraryName || "None (uploaded files)"],
       ["JSON Files Parsed", report.parsedInputMeta.parsedJsonCount],
       ["Total Records Read", report.totalRecordsRead],
+      ["Duplicate Records Dropped", report.parsedInputMeta.duplicateRecords],
+      [
+        "Records Flagged by Data Quality Checks",
+        report.parsedInputMeta.dataQualityRows.reduce((sum, row) => sum + row.flaggedRecords, 0),
+      ],
+      ["Records Excluded by Filters", report.excludedByFilters],
       ["Song Records Used", report.songRecordsUsed],
-      ["Ignored Non-song Records", report.ignoredNonSong],
+      ["Play Counting Rule", report.playRule],
+      ["Song Plays Counted", report.countedPlays],
+      ["Track Identity", report.trackIdentity],
+      ["Songs With Merged Variants", report.mergedTrackCount],
+      ["Podcast Episode Records Used", report.podcastRecordsUsed],
+      ["Audiobook Records Used", report.audiobookRecordsUsed],
+      ["Ignored Unrecognized Records", report.ignoredNonSong],
       ["Ignored Bad Timestamp Records", report.ignoredBadTimestamp],
       ["Unique Songs", report.uniqueSongs],
+      ["Unique Artists", report.uniqueArtists],
+      ["Unique Albums", report.uniqueAlbums],
       ["Total Minutes Listened", round2(report.totalMinutes)],
       ["Total Hours Listened", round2(report.totalHours)],
+      ["Podcast & Audiobook Minutes", round2(report.totalPodcastMinutes)],
+      [
+        "Most Active Hour",
+        report.mostActiveHour
+          ? `${formatHourLabel(report.mostActiveHour.hour)} (${round2(report.mostActiveHour.minutes)} min)`
+          : "N/A",
+      ],
+      [
+        "Most Active Weekday",
+        report.mostActiveWeekday
+          ? `${report.mostActiveWeekday.weekday} (${round2(report.mostActiveWeekday.minutes)} min)`
+          : "N/A",
+      ],
+      ["Session Gap Threshold (min)", report.sessionGapMinutes],
+      ["Listening Sessions", report.sessionCount],
+      ["Average Session Length (min)", round2(report.averageSessionMinutes)],
+      ["Longest Session Length (min)", round2(report.longestSessionMinutes)],
+      ["Average Tracks per Session", round2(report.averageTracksPerSession)],
+      [
+        "Longest Listening Streak",
+        report.longestListeningStreak
+          ? `${report.longestListeningStreak.days} days (${report.longestListeningStreak.start} to ${report.longestListeningStreak.end})`
+          : "N/A",
+      ],
+      [
+        "Longest Song Streak",
+        report.songStreakRows.length
+          ? `${report.songStreakRows[0].song} - ${report.songStreakRows[0].artist} (${report.songStreakRows[0].days} days)`
+          : "N/A",
+      ],
+      [
+        "Longest Artist Streak",
+        report.artistStreakRows.length
+          ? `${report.artistStreakRows[0].artist} (${report.artistStreakRows[0].days} days)`
+          : "N/A",
+      ],
+      [`Binge Days (${report.bingeThreshold}+ plays of one song)`, report.bingeDayRows.length],
+      ["Shuffle Play Share (0-1)", round4(report.shuffleShare)],
+      ["Offline Minutes", round2(report.offlineMinutes)],
+      [
+        "Average Offline Sync Delay (hours)",
+        report.averageOfflineSyncHours === null ? "N/A" : round2(report.averageOfflineSyncHours),
+      ],
+      ["Incognito Plays", report.incognitoPlays],
+      ["Incognito Minutes", round2(report.incognitoMinutes)],
+      ["Incognito Sessions", report.incognitoSessionRows.length],
+      ["Incognito Plays in Top Lists", report.excludeIncognitoFromTops ? "Excluded" : "Included"],
+      ["Countries Listened From", report.uniqueCountries],
+      ["Country Changes Detected", report.countryChanges],
+      ["Overall Skip Rate (0-1)", round4(report.overallSkipRate)],
+      ["Skip Threshold Without Skip Flag (s)", report.skipThresholdSeconds],
+      ["Skips Inferred From Play Time", report.inferredSkips],
       [
         "Month With Most Minutes",
         report.peakMonth
@@ -564,8 +786,47 @@
           ? `${report.peakYear.year} (${round2(report.peakYear.minutes)} min)`
           : "N/A",
       ],
+      [
+        "Longest Gap Before Rediscovery",
+        report.longestRediscovery
+          ? `${report.longestRediscovery.song} - ${report.longestRediscovery.artist} (${round2(report.longestRediscovery.gapDays)} days)`
+          : "N/A",
+      ],
     ]);
 
+    addSheet(
+      wb,
+      "Data_Quality",
+      [
+        "Source File",
+        "Detected Format",
+        "Records",
+        "First Record (UTC)",
+        "Last Record (UTC)",
+        "Unknown Fields (records)",
+        "Missing Fields (records)",
+        "Negative ms_played (clamped to 0)",
+        "Absurd ms_played (clamped to 24h)",
+        "Non-numeric ms_played",
+        "Missing/Invalid Timestamps",
+        "Timestamps Out of Range",
+      ],
+      report.parsedInputMeta.dataQualityRows.map((row) => [
+        row.file,
+        row.formats.join(", "),
+        row.records,
+        row.firstRecord,
+        row.lastRecord,
+        row.unknownFields,
+        row.missingFields,
+        row.negativeMs,
+        row.absurdMs,
+        row.invalidMs,
+        row.badTimestamps,
+        row.outOfRangeTimestamps,
+      ])
+    );
+
     addSheet(
       wb,
       "Songs_Play_Counts",
@@ -575,10 +836,13 @@
         "Album",
         "Spotify Track URI",
         "Play Count",
+        "Streams",
         "Skip Count",
         "Skip Rate (0-1)",
         "Total Minutes Listened",
         "Total Hours Listened",
+        "First Played",
+        "Last Played",
       ],
       report.songRows.map((row) => [
         row.song,
@@ -586,10 +850,38 @@
         row.album,
         row.uri,
         row.playCount,
+        row.streamCount,
         row.skipCount,
         round4(row.skipRate),
         round2(row.totalMinutes),
         round2(row.totalHours),
+        row.firstPlayed,
+        row.lastPlayed,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Merged_Variants",
+      [
+        "Song",
+        "Artist",
+        "Variant Title",
+        "Variant Artist",
+        "Variant Track URI",
+        "Play Count",
+        "Streams",
+        "Minutes Listened",
+      ],
+      report.mergedVariantRows.map((row) => [
+        row.song,
+        row.artist,
+        row.variantSong,
+        row.variantArtist,
+        row.variantUri,
+        row.playCount,
+        row.streamCount,
+        round2(row.totalMinutes),
       ])
     );
 
@@ -638,198 +930,1125 @@
 
     addSheet(
       wb,
-      "Top3_Per_Month",
-      ["Month", "Rank", "Song", "Artist", "Play Count", "Minutes Listened"],
-      report.top3PerMonthRows.map((row) => [
-        row.month,
-        row.rank,
-        row.song,
-        row.artist,
+      "End_Reasons",
+      ["Reason End", "Plays", "Share (0-1)", "Skips", "Minutes Listened"],
+      report.endReasonRows.map((row) => [
+        row.reason,
         row.playCount,
-        round2(row.minutesListened),
+        round4(row.share),
+        row.skipCount,
+        round2(row.totalMinutes),
       ])
     );
 
     addSheet(
       wb,
-      "Monthly_Minutes",
-      ["Month", "Minutes Listened", "Hours Listened"],
-      report.monthlyMinutesRows.map((row) => [row.month, round2(row.minutes), round2(row.hours)])
+      "Monthly_Skip_Rate",
+      ["Month", "Plays", "Skips", "Skip Rate (0-1)"],
+      report.monthlySkipRows.map((row) => [
+        row.month,
+        row.playCount,
+        row.skipCount,
+        round4(row.skipRate),
+      ])
     );
 
     addSheet(
       wb,
-      "Yearly_Minutes",
-      ["Year", "Minutes Listened", "Hours Listened"],
-      report.yearlyMinutesRows.map((row) => [row.year, round2(row.minutes), round2(row.hours)])
+      "Backbtn_Replays",
+      ["Song", "Artist", "Replays via Back Button", "Play Count"],
+      report.backbtnRows.map((row) => [row.song, row.artist, row.backbtnCount, row.playCount])
     );
 
-    const filename = `spotify_report_full_${timestampForFilename()}.xlsx`;
-    XLSX.writeFile(wb, filename, { compression: true });
-    return filename;
-  }
-
-  async function exportSimplifiedPdf(report) {
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({ unit: "pt", format: "a4", compress: true });
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    const margin = 38;
-    const contentWidth = pageWidth - margin * 2;
-    let cursorY = margin;
+    addSheet(
+      wb,
+      "Artists",
+      [
+        "Artist",
+        "Play Count",
+        "Skip Count",
+        "Skip Rate (0-1)",
+        "Total Minutes Listened",
+        "Total Hours Listened",
+        "Unique Songs",
+        "First Listen",
+        "Last Listen",
+        "Peak Month",
+        "Peak Month Minutes",
+        "Shuffle Share (0-1)",
+        "Intentional Share (0-1)",
+        "Incognito Plays",
+      ],
+      report.artistRows.map((row) => [
+        row.artist,
+        row.playCount,
+        row.skipCount,
+        round4(row.skipRate),
+        round2(row.totalMinutes),
+        round2(row.totalHours),
+        row.uniqueSongs,
+        row.firstListen,
+        row.lastListen,
+        row.peakMonth ? row.peakMonth.month : "",
+        row.peakMonth ? round2(row.peakMonth.minutes) : "",
+        round4(row.shuffleShare),
+        round4(1 - row.shuffleShare),
+        row.incognitoPlays,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Top10_Artists_By_Plays",
+      ["Rank", "Artist", "Play Count", "Total Minutes", "Unique Songs", "Skip Count"],
+      report.top10ArtistsByPlays.map((row, index) => [
+        index + 1,
+        row.artist,
+        row.playCount,
+        round2(row.totalMinutes),
+        row.uniqueSongs,
+        row.skipCount,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Albums",
+      [
+        "Album",
+        "Album Artist",
+        "Play Count",
+        "Skip Count",
+        "Skip Rate (0-1)",
+        "Unique Tracks Played",
+        "Total Minutes Listened",
+        "Total Hours Listened",
+        "First Played",
+        "Last Played",
+      ],
+      report.albumRows.map((row) => [
+        row.album,
+        row.artist,
+        row.playCount,
+        row.skipCount,
+        round4(row.skipRate),
+        row.uniqueTracks,
+        round2(row.totalMinutes),
+        round2(row.totalHours),
+        row.firstPlayed,
+        row.lastPlayed,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Top10_Albums",
+      ["Rank", "Album", "Album Artist", "Total Minutes", "Play Count", "Unique Tracks Played"],
+      report.top10Albums.map((row, index) => [
+        index + 1,
+        row.album,
+        row.artist,
+        round2(row.totalMinutes),
+        row.playCount,
+        row.uniqueTracks,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Top3_Per_Month",
+      ["Month", "Rank", "Song", "Artist", "Play Count", "Minutes Listened"],
+      report.top3PerMonthRows.map((row) => [
+        row.month,
+        row.rank,
+        row.song,
+        row.artist,
+        row.playCount,
+        round2(row.minutesListened),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Monthly_Minutes",
+      ["Month", "Minutes Listened", "Hours Listened"],
+      report.monthlyMinutesRows.map((row) => [row.month, round2(row.minutes), round2(row.hours)])
+    );
+
+    addSheet(
+      wb,
+      "Yearly_Minutes",
+      ["Year", "Minutes Listened", "Hours Listened"],
+      report.yearlyMinutesRows.map((row) => [row.year, round2(row.minutes), round2(row.hours)])
+    );
+
+    addSheet(
+      wb,
+      "Discovery_By_Month",
+      ["Month", "New Songs", "New Artists", "Unique Songs Played", "Discovery Rate (0-1)"],
+      report.discoveryMonthRows.map((row) => [
+        row.month,
+        row.newSongs,
+        row.newArtists,
+        row.uniqueSongs,
+        round4(row.discoveryRate),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Rediscoveries",
+      ["Song", "Artist", "Gap (days)", "Last Played Before", "Returned On", "Total Plays"],
+      report.rediscoveryRows.map((row) => [
+        row.song,
+        row.artist,
+        round2(row.gapDays),
+        row.lastPlayedBefore,
+        row.returnedOn,
+        row.playCount,
+      ])
+    );
+
+    const hourHeaders = Array.from({ length: 24 }, (_, hour) => formatHourLabel(hour));
+    addSheet(
+      wb,
+      "Heatmap_Minutes",
+      ["Weekday", ...hourHeaders, "Total"],
+      report.heatmapRows.map((row) => [
+        row.weekday,
+        ...row.minutesByHour.map(round2),
+        round2(row.totalMinutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Heatmap_Plays",
+      ["Weekday", ...hourHeaders, "Total"],
+      report.heatmapRows.map((row) => [
+        row.weekday,
+        ...row.playsByHour,
+        row.playsByHour.reduce((sum, plays) => sum + plays, 0),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Streaks",
+      ["Type", "Song", "Artist", "Days in a Row", "Start", "End"],
+      [
+        ...(report.longestListeningStreak
+          ? [
+              [
+                "Any listening",
+                "",
+                "",
+                report.longestListeningStreak.days,
+                report.longestListeningStreak.start,
+                report.longestListeningStreak.end,
+              ],
+            ]
+          : []),
+        ...report.songStreakRows.map((row) => [
+          "Song",
+          row.song,
+          row.artist,
+          row.days,
+          row.start,
+          row.end,
+        ]),
+        ...report.artistStreakRows.map((row) => [
+          "Artist",
+          "",
+          row.artist,
+          row.days,
+          row.start,
+          row.end,
+        ]),
+      ]
+    );
+
+    addSheet(
+      wb,
+      "Binge_Days",
+      ["Day", "Song", "Artist", "Plays That Day"],
+      report.bingeDayRows.map((row) => [row.day, row.song, row.artist, row.playCount])
+    );
+
+    addSheet(
+      wb,
+      "Device_Families",
+      ["Device Family", "Plays", "Minutes Listened", "Share of Minutes (0-1)"],
+      report.deviceFamilyRows.map((row) => [
+        row.family,
+        row.playCount,
+        round2(row.totalMinutes),
+        round4(row.share),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Platforms",
+      [
+        "Platform",
+        "Device Family",
+        "Plays",
+        "Minutes Listened",
+        "Share of Minutes (0-1)",
+        "First Month",
+        "Last Month",
+      ],
+      report.platformRows.map((row) => [
+        row.platform,
+        row.family,
+        row.playCount,
+        round2(row.totalMinutes),
+        round4(row.share),
+        row.firstMonth,
+        row.lastMonth,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Devices_Monthly",
+      ["Month", ...report.deviceFamilies.map((family) => `${family} Minutes`)],
+      report.deviceFamilyMonthlyRows.map((row) => [
+        row.month,
+        ...row.minutesByFamily.map((minutes) => round2(minutes)),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Platforms_Monthly",
+      ["Month", "Platform", "Device Family", "Plays", "Minutes Listened"],
+      report.platformMonthlyRows.map((row) => [
+        row.month,
+        row.platform,
+        row.family,
+        row.playCount,
+        round2(row.minutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Countries",
+      [
+        "Country Code",
+        "Country",
+        "Plays",
+        "Minutes Listened",
+        "Share of Minutes (0-1)",
+        "First Played",
+        "Last Played",
+        "Top Songs There",
+      ],
+      report.countryRows.map((row) => [
+        row.country,
+        row.countryName,
+        row.playCount,
+        round2(row.totalMinutes),
+        round4(row.share),
+        row.firstPlayed,
+        row.lastPlayed,
+        row.topSongs
+          .map((song) => `${song.song} - ${song.artist} (${song.playCount})`)
+          .join("; "),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Travel_Timeline",
+      ["Country Code", "Country", "Arrived From", "First Play", "Last Play", "Days", "Plays", "Minutes"],
+      report.travelTimelineRows.map((row) => [
+        row.country,
+        row.countryName,
+        row.previousCountry,
+        row.from,
+        row.to,
+        round2(row.days),
+        row.playCount,
+        round2(row.minutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Playback_Modes_Monthly",
+      [
+        "Month",
+        "Plays",
+        "Shuffle Plays",
+        "Shuffle Share (0-1)",
+        "Intentional Share (0-1)",
+        "Offline Plays",
+        "Offline Minutes",
+        "Incognito Plays",
+        "Incognito Minutes",
+      ],
+      report.playbackModeMonthlyRows.map((row) => [
+        row.month,
+        row.playCount,
+        row.shufflePlays,
+        round4(row.shuffleShare),
+        round4(row.intentionalShare),
+        row.offlinePlays,
+        round2(row.offlineMinutes),
+        row.incognitoPlays,
+        round2(row.incognitoMinutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Incognito_Sessions",
+      ["Start", "End", "Length (min)", "Minutes Played", "Tracks"],
+      report.incognitoSessionRows.map((row) => [
+        row.start,
+        row.end,
+        round2(row.durationMinutes),
+        round2(row.listenedMinutes),
+        row.trackCount,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Podcasts_Shows",
+      [
+        "Type",
+        "Show",
+        "Play Count",
+        "Episodes Played",
+        "Episodes Finished",
+        "Avg Est. Completion (0-1)",
+        "Total Minutes Listened",
+        "Total Hours Listened",
+      ],
+      report.podcastShowRows.map((row) => [
+        row.type,
+        row.show,
+        row.playCount,
+        row.episodeCount,
+        row.episodesFinished,
+        row.averageCompletion === null ? "" : round4(row.averageCompletion),
+        round2(row.totalMinutes),
+        round2(row.totalHours),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Podcasts_Episodes",
+      [
+        "Type",
+        "Show",
+        "Episode",
+        "Spotify URI",
+        "Play Count",
+        "Finished",
+        "Est. Length (min)",
+        "Est. Completion (0-1)",
+        "Total Minutes Listened",
+      ],
+      report.podcastEpisodeRows.map((row) => [
+        row.type,
+        row.show,
+        row.episode,
+        row.uri,
+        row.playCount,
+        row.finished ? "Yes" : "No",
+        row.estimatedLengthMinutes === null ? "" : round2(row.estimatedLengthMinutes),
+        row.completion === null ? "" : round4(row.completion),
+        round2(row.totalMinutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Podcasts_Top3_Per_Month",
+      ["Month", "Rank", "Type", "Show", "Play Count", "Minutes Listened"],
+      report.topShowsPerMonthRows.map((row) => [
+        row.month,
+        row.rank,
+        row.type,
+        row.show,
+        row.playCount,
+        round2(row.minutesListened),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Sessions",
+      ["Start", "End", "Length (min)", "Minutes Played", "Tracks", "Main Platform"],
+      report.sessionRows.map((row) => [
+        row.start,
+        row.end,
+        round2(row.durationMinutes),
+        round2(row.listenedMinutes),
+        row.trackCount,
+        row.platform,
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Sessions_By_Platform",
+      ["Platform", "Sessions", "Avg Length (min)", "Avg Tracks", "Minutes Played"],
+      report.sessionsByPlatformRows.map((row) => [
+        row.platform,
+        row.sessionCount,
+        round2(row.averageMinutes),
+        round2(row.averageTracks),
+        round2(row.listenedMinutes),
+      ])
+    );
+
+    addSheet(
+      wb,
+      "Longest_Session",
+      ["#", "Start", "Title", "Artist / Show", "Minutes Played", "Platform"],
+      (report.longestSession?.tracks || []).map((row, index) => [
+        index + 1,
+        row.start,
+        row.title,
+        row.artist,
+        round2(row.minutesPlayed),
+        row.platform,
+      ])
+    );
+
+    if (report.comparison) {
+      const { periodA, periodB } = report.comparison;
+      addSheet(
+        wb,
+        "Comparison",
+        [
+          "Section",
+          "Item",
+          `Period A (${periodA.label})`,
+          `Period B (${periodB.label})`,
+          "Change",
+          "Change %",
+        ],
+        comparisonSheetRows(report.comparison)
+      );
+    }
+
+    const filename = `spotify_report_full_${timestampForFilename()}.xlsx`;
+    XLSX.writeFile(wb, filename, { compression: true });
+    return filename;
+  }
+
+  function comparisonSheetRows(comparison) {
+    const songLabel = (row) => `${row.song} - ${row.artist}`;
+    const rankRows = (section, rows, label) =>
+      rows.map((row) => [section, label(row), row.rankA, row.rankB, row.rankChange, ""]);
+    const artistRows = (section, rows) =>
+      rows.map((row) => [
+        section,
+        row.artist,
+        section === "New Artist" ? 0 : round2(row.totalMinutes),
+        section === "New Artist" ? round2(row.totalMinutes) : 0,
+        round2(section === "New Artist" ? row.totalMinutes : -row.totalMinutes),
+        "",
+      ]);
+
+    return [
+      ...comparison.metricRows.map((row) => {
+        const format = row.metric === "Skip Rate" ? round4 : round2;
+        return [
+          "Overview",
+          row.metric,
+          format(row.valueA),
+          format(row.valueB),
+          format(row.change),
+          row.changeRatio === null ? "" : round4(row.changeRatio),
+        ];
+      }),
+      ...rankRows("Rising Song", comparison.risingSongs, songLabel),
+      ...rankRows("Falling Song", comparison.fallingSongs, songLabel),
+      ...rankRows("Rising Artist", comparison.risingArtists, (row) => row.artist),
+      ...rankRows("Falling Artist", comparison.fallingArtists, (row) => row.artist),
+      ...artistRows("New Artist", comparison.newArtistRows),
+      ...artistRows("Gone Artist", comparison.goneArtistRows),
+    ];
+  }
+
+  async function exportSimplifiedPdf(report) {
+    const pdf = createPdfWriter();
+
+    pdf.drawHeader("Spotify Listening Snapshot", [
+      `Generated: ${formatZonedDateTime(new Date(), createZonedClock(report.timeZone))} ${report.timeZone}`,
+      `Range: ${report.dataRange}`,
+      `Filters: ${report.activeFilters.join("; ")}`,
+      `Plays counted: ${report.playRule}`,
+    ]);
+    pdf.drawCards([
+      ["Total Minutes", formatNumber(round2(report.totalMinutes))],
+      ["Unique Songs", formatNumber(report.uniqueSongs)],
+      [
+        "Highest Month",
+        report.peakMonth
+          ? `${report.peakMonth.monthLabel} (${formatNumber(round2(report.peakMonth.minutes))}m)`
+          : "N/A",
+      ],
+      [
+        "Highest Year",
+        report.peakYear
+          ? `${report.peakYear.year} (${formatNumber(round2(report.peakYear.minutes))}m)`
+          : "N/A",
+      ],
+      [
+        "Most Active Hour",
+        report.mostActiveHour ? formatHourLabel(report.mostActiveHour.hour) : "N/A",
+      ],
+      [
+        "Most Active Weekday",
+        report.mostActiveWeekday ? report.mostActiveWeekday.weekday : "N/A",
+      ],
+      [
+        "Listening Sessions",
+        `${formatNumber(report.sessionCount)} (avg ${formatNumber(round2(report.averageSessionMinutes))}m)`,
+      ],
+      [
+        "Longest Session",
+        report.longestSession
+          ? `${formatNumber(round2(report.longestSessionMinutes))}m, ${report.longestSession.trackCount} tracks`
+          : "N/A",
+      ],
+      [
+        "Longest Listening Streak",
+        report.longestListeningStreak ? `${report.longestListeningStreak.days} days in a row` : "N/A",
+      ],
+      [
+        "Longest Song Streak",
+        report.songStreakRows.length
+          ? `${report.songStreakRows[0].song} (${report.songStreakRows[0].days} days)`
+          : "N/A",
+      ],
+    ]);
+
+    const monthlyChartUrl = await chartImage({
+      type: "line",
+      data: {
+        labels: report.monthlyMinutesRows.map((row) => row.monthLabel),
+        datasets: [
+          {
+            label: "Minutes listened",
+            data: report.monthlyMinutesRows.map((row) => round2(row.minutes)),
+            borderColor: "rgba(43,127,102,1)",
+            backgroundColor: "rgba(43,127,102,0.2)",
+            pointRadius: 2.2,
+            borderWidth: 2,
+            tension: 0.2,
+            fill: true,
+          },
+        ],
+      },
+      options: chartOptions("Minutes"),
+    });
+    pdf.addChart("Monthly Listening Trend", monthlyChartUrl, 190);
+
+    const discoveryChartUrl = await chartImage(discoveryChartConfig(report.discoveryMonthRows));
+    pdf.addChart("New Music Discovery", discoveryChartUrl, 190);
+
+    const artistsChartUrl = await chartImage({
+      type: "bar",
+      data: {
+        labels: report.topArtistsByMinutes.slice(0, 8).map((row) => row.artist),
+        datasets: [
+          {
+            label: "Minutes",
+            data: report.topArtistsByMinutes.slice(0, 8).map((row) => round2(row.totalMinutes)),
+            backgroundColor: GREEN_BAR_COLORS,
+            borderRadius: 8,
+          },
+        ],
+      },
+      options: chartOptions("Minutes", true),
+    });
+    pdf.addChart("Top Artists by Listening Time", artistsChartUrl, 210);
+
+    if (report.top10Albums.length) {
+      const albumsChartUrl = await chartImage({
+        type: "bar",
+        data: {
+          labels: report.top10Albums.slice(0, 8).map((row) => `${row.album} - ${row.artist}`),
+          datasets: [
+            {
+              label: "Minutes",
+              data: report.top10Albums.slice(0, 8).map((row) => round2(row.totalMinutes)),
+              backgroundColor: "rgba(18,56,89,0.85)",
+              borderRadius: 8,
+            },
+          ],
+        },
+        options: chartOptions("Minutes", true),
+      });
+      pdf.addChart("Top Albums by Listening Time", albumsChartUrl, 210);
+    }
+
+    const heatmapChartUrl = await chartImage(heatmapChartConfig(report.heatmapRows));
+    pdf.addChart("When You Listen (Hour x Weekday)", heatmapChartUrl, 190);
+
+    const skipChartUrl = await chartImage({
+      type: "line",
+      data: {
+        labels: report.monthlySkipRows.map((row) => row.monthLabel),
+        datasets: [
+          {
+            label: "Skip rate",
+            data: report.monthlySkipRows.map((row) => round2(row.skipRate * 100)),
+            borderColor: "rgba(196,84,72,1)",
+            backgroundColor: "rgba(196,84,72,0.18)",
+            pointRadius: 2.2,
+            borderWidth: 2,
+            tension: 0.2,
+            fill: true,
+          },
+        ],
+      },
+      options: chartOptions("Skip rate (%)"),
+    });
+    pdf.addChart("Skip Rate by Month", skipChartUrl, 190);
+
+    const devicesChartUrl = await chartImage(deviceChartConfig(report));
+    pdf.addChart("Listening by Device Family", devicesChartUrl, 190);
+
+    pdf.addTable(
+      "Top Songs Snapshot",
+      ["Rank", "Song", "Artist", "Plays", "Minutes"],
+      report.top10ByPlayCount.slice(0, 10).map((row, index) => [
+        index + 1,
+        row.song,
+        row.artist,
+        row.playCount,
+        round2(row.totalMinutes),
+      ]),
+      { reserve: 280 }
+    );
+
+    pdf.addTable(
+      "Most Skipped Songs",
+      ["Rank", "Song", "Artist", "Skips", "Skip Rate"],
+      report.top10Skipped.slice(0, 10).map((row, index) => [
+        index + 1,
+        row.song,
+        row.artist,
+        row.skipCount,
+        `${round2(row.skipRate * 100)}%`,
+      ]),
+      { stripe: "blue" }
+    );
+
+    pdf.addTable(
+      "How Plays Ended",
+      ["Reason", "Plays", "Share", "Skips", "Minutes"],
+      report.endReasonRows.slice(0, 10).map((row) => [
+        row.reason,
+        row.playCount,
+        `${round2(row.share * 100)}%`,
+        row.skipCount,
+        round2(row.totalMinutes),
+      ])
+    );
+
+    if (report.rediscoveryRows.length) {
+      pdf.addTable(
+        "Longest Gaps Before Rediscovery",
+        ["Rank", "Song", "Artist", "Gap (days)", "Returned On"],
+        report.rediscoveryRows.slice(0, 10).map((row, index) => [
+          index + 1,
+          row.song,
+          row.artist,
+          Math.round(row.gapDays),
+          row.returnedOn.slice(0, 10),
+        ])
+      );
+    }
+
+    pdf.addTable(
+      "Listening by Country",
+      ["Country", "Plays", "Minutes", "Share", "Top Song There"],
+      report.countryRows.slice(0, 10).map((row) => [
+        row.countryName,
+        row.playCount,
+        round2(row.totalMinutes),
+        `${round2(row.share * 100)}%`,
+        row.topSongs.length ? `${row.topSongs[0].song} - ${row.topSongs[0].artist}` : "",
+      ])
+    );
+
+    if (report.countryChanges > 0) {
+      pdf.addTable(
+        "Travel Timeline (Latest Country Changes)",
+        ["Country", "From", "To", "Days", "Plays"],
+        report.travelTimelineRows.slice(-15).map((row) => [
+          row.countryName,
+          row.from.slice(0, 10),
+          row.to.slice(0, 10),
+          round2(row.days),
+          row.playCount,
+        ]),
+        { stripe: "blue" }
+      );
+    }
+
+    if (report.bingeDayRows.length) {
+      pdf.addTable(
+        `Binge Days (${report.bingeThreshold}+ Plays of One Song)`,
+        ["Rank", "Day", "Song", "Artist", "Plays"],
+        report.bingeDayRows.slice(0, 10).map((row, index) => [
+          index + 1,
+          row.day,
+          row.song,
+          row.artist,
+          row.playCount,
+        ]),
+        { stripe: "blue" }
+      );
+    }
+
+    if (report.podcastShowRows.length) {
+      pdf.addTable(
+        "Podcasts & Audiobooks",
+        ["Rank", "Show", "Type", "Episodes", "Finished", "Minutes"],
+        report.podcastShowRows.slice(0, 10).map((row, index) => [
+          index + 1,
+          row.show,
+          row.type,
+          row.episodeCount,
+          row.episodesFinished,
+          round2(row.totalMinutes),
+        ])
+      );
+
+      pdf.addTable(
+        "Most Played Episodes",
+        ["Rank", "Episode", "Show", "Minutes", "Est. Completion"],
+        report.podcastEpisodeRows.slice(0, 10).map((row, index) => [
+          index + 1,
+          row.episode,
+          row.show,
+          round2(row.totalMinutes),
+          row.completion === null ? "N/A" : `${round2(row.completion * 100)}%`,
+        ]),
+        { stripe: "blue" }
+      );
+    }
+
+    if (report.comparison) {
+      await addComparisonPages(pdf, report.comparison);
+    }
+
+    return pdf.save(`spotify_report_snapshot_${timestampForFilename()}.pdf`);
+  }
+
+  async function addComparisonPages(pdf, comparison) {
+    const { periodA, periodB } = comparison;
+    const metric = (name) => comparison.metricRows.find((row) => row.metric === name);
+    const totals = ["Unique Songs", "Unique Artists", "Unique Albums"].map(metric);
+    const minutes = metric("Minutes Listened");
+    const pairedDatasets = (valuesA, valuesB) => [
+      {
+        label: periodA.label,
+        data: valuesA,
+        backgroundColor: "rgba(18,56,89,0.85)",
+        borderRadius: 6,
+      },
+      {
+        label: periodB.label,
+        data: valuesB,
+        backgroundColor: "rgba(43,127,102,0.85)",
+        borderRadius: 6,
+      },
+    ];
+    const pairedOptions = (yTitle, horizontal) => {
+      const options = chartOptions(yTitle, horizontal);
+      options.plugins.legend = { display: true, labels: { color: "#2b3d4f" } };
+      return options;
+    };
+
+    pdf.newPage();
+    pdf.drawHeader("Period Comparison", [
+      `Period A: ${periodA.label}`,
+      `Period B: ${periodB.label}`,
+    ]);
+
+    const totalsChartUrl = await chartImage({
+      type: "bar",
+      data: {
+        labels: ["Hours Listened", ...totals.map((row) => row.metric)],
+        datasets: pairedDatasets(
+          [round2(minutes.valueA / 60), ...totals.map((row) => row.valueA)],
+          [round2(minutes.valueB / 60), ...totals.map((row) => row.valueB)]
+        ),
+      },
+      options: pairedOptions(""),
+    });
+    pdf.addChart("Listening Side by Side", totalsChartUrl, 190);
+
+    const artistsChartUrl = await chartImage({
+      type: "bar",
+      data: {
+        labels: comparison.topArtistRows.map((row) => row.artist),
+        datasets: pairedDatasets(
+          comparison.topArtistRows.map((row) => round2(row.minutesA)),
+          comparison.topArtistRows.map((row) => round2(row.minutesB))
+        ),
+      },
+      options: pairedOptions("Minutes", true),
+    });
+    pdf.addChart("Top Artists Side by Side", artistsChartUrl, 210);
+
+    pdf.addTable(
+      "What Changed",
+      ["Metric", "Period A", "Period B", "Change"],
+      comparison.metricRows.map((row) => {
+        const format = (value) =>
+          row.metric === "Skip Rate" ? `${round2(value * 100)}%` : formatNumber(round2(value));
+        const percent = row.changeRatio === null ? "" : ` (${round2(row.changeRatio * 100)}%)`;
+        return [row.metric, format(row.valueA), format(row.valueB), `${format(row.change)}${percent}`];
+      }),
+      { reserve: 180 }
+    );
+
+    const rankTable = (title, rows, label) => {
+      if (!rows.length) {
+        return;
+      }
+      pdf.addTable(
+        title,
+        ["Item", "Rank A", "Rank B", "Places"],
+        rows.map((row) => [
+          label(row),
+          row.rankA,
+          row.rankB,
+          row.rankChange > 0 ? `+${row.rankChange}` : row.rankChange,
+        ]),
+        { stripe: "blue" }
+      );
+    };
+    rankTable("Songs That Rose the Most", comparison.risingSongs, (row) => `${row.song} - ${row.artist}`);
+    rankTable("Songs That Fell the Most", comparison.fallingSongs, (row) => `${row.song} - ${row.artist}`);
+    rankTable("Artists That Rose the Most", comparison.risingArtists, (row) => row.artist);
+    rankTable("Artists That Fell the Most", comparison.fallingArtists, (row) => row.artist);
+
+    const turnoverRows = [
+      ...comparison.newArtistRows.slice(0, 10).map((row) => [
+        "New in B",
+        row.artist,
+        round2(row.totalMinutes),
+      ]),
+      ...comparison.goneArtistRows.slice(0, 10).map((row) => [
+        "Not heard in B",
+        row.artist,
+        round2(row.totalMinutes),
+      ]),
+    ];
+    if (turnoverRows.length) {
+      pdf.addTable("Artist Turnover", ["Change", "Artist", "Minutes"], turnoverRows);
+    }
+  }
 
-    const theme = {
-      navy: [8, 32, 54],
-      navySoft: [18, 56, 89],
-      green: [43, 127, 102],
-      textDark: [24, 42, 61],
-      textLight: [234, 245, 255],
-      line: [198, 217, 229],
-    };
+  async function exportYearInReviewPdf(recap) {
+    const pdf = createPdfWriter();
+    const highlightColors = (rows, isHighlight) =>
+      rows.map((row) => (isHighlight(row) ? "rgba(43,127,102,0.9)" : "rgba(18,56,89,0.55)"));
 
-    drawHeader();
-    drawSummaryCards();
+    pdf.drawHeader(`Your ${recap.year} in Review`, [
+      `Generated: ${formatZonedDateTime(new Date(), createZonedClock(recap.timeZone))} ${recap.timeZone}`,
+      `Range: ${recap.dataRange}`,
+      `Filters: ${recap.activeFilters.join("; ")}`,
+    ]);
+    pdf.drawCards([
+      ["Minutes Listened", formatNumber(round2(recap.totalMinutes))],
+      ["Hours Listened", formatNumber(round2(recap.totalHours))],
+      ["Unique Songs", formatNumber(recap.uniqueSongs)],
+      ["Unique Artists", formatNumber(recap.uniqueArtists)],
+      [
+        "New Artists Discovered",
+        `${formatNumber(recap.newArtistCount)} (${round2(recap.newArtistShare * 100)}% of minutes)`,
+      ],
+      [
+        "Biggest Month",
+        recap.biggestMonth
+          ? `${recap.biggestMonth.monthLabel} (${formatNumber(round2(recap.biggestMonth.minutes))}m)`
+          : "N/A",
+      ],
+      [
+        "Most Looped Day",
+        recap.mostLoopedDay
+          ? `${recap.mostLoopedDay.day}: ${recap.mostLoopedDay.song} x${recap.mostLoopedDay.playCount}`
+          : "N/A",
+      ],
+      [`Vs ${recap.year - 1}`, describeYearChange(recap)],
+    ]);
 
     const monthlyChartUrl = await chartImage({
-      type: "line",
+      type: "bar",
       data: {
-        labels: report.monthlyMinutesRows.map((row) => row.monthLabel),
+        labels: recap.monthlyMinutesRows.map((row) => row.monthLabel),
         datasets: [
           {
             label: "Minutes listened",
-            data: report.monthlyMinutesRows.map((row) => round2(row.minutes)),
-            borderColor: "rgba(43,127,102,1)",
-            backgroundColor: "rgba(43,127,102,0.2)",
-            pointRadius: 2.2,
-            borderWidth: 2,
-            tension: 0.2,
-            fill: true,
+            data: recap.monthlyMinutesRows.map((row) => round2(row.minutes)),
+            backgroundColor: highlightColors(
+              recap.monthlyMinutesRows,
+              (row) => row.month === recap.biggestMonth?.month
+            ),
+            borderRadius: 8,
           },
         ],
       },
       options: chartOptions("Minutes"),
     });
+    pdf.addChart("Month by Month", monthlyChartUrl, 190);
 
-    addSectionTitle("Monthly Listening Trend");
-    reserveSpace(210);
-    doc.addImage(monthlyChartUrl, "PNG", margin, cursorY, contentWidth, 190, undefined, "FAST");
-    cursorY += 205;
-
-    const artistsChartUrl = await chartImage({
+    pdf.newPage();
+    const yearlyChartUrl = await chartImage({
       type: "bar",
       data: {
-        labels: report.topArtistsByMinutes.slice(0, 8).map((row) => row.artist),
+        labels: recap.yearlyMinutesRows.map((row) => String(row.year)),
         datasets: [
           {
-            label: "Minutes",
-            data: report.topArtistsByMinutes.slice(0, 8).map((row) => round2(row.totalMinutes)),
-            backgroundColor: [
-              "rgba(62,157,127,0.85)",
-              "rgba(56,145,117,0.85)",
-              "rgba(49,132,106,0.85)",
-              "rgba(42,118,95,0.85)",
-              "rgba(36,106,85,0.85)",
-              "rgba(31,93,75,0.85)",
-              "rgba(26,83,66,0.85)",
-              "rgba(21,73,58,0.85)",
-            ],
+            label: "Minutes listened",
+            data: recap.yearlyMinutesRows.map((row) => round2(row.minutes)),
+            backgroundColor: highlightColors(recap.yearlyMinutesRows, (row) => row.year === recap.year),
             borderRadius: 8,
           },
         ],
       },
-      options: chartOptions("Minutes", true),
+      options: chartOptions("Minutes"),
     });
+    pdf.addChart("Compared With Previous Years", yearlyChartUrl, 190);
 
-    addSectionTitle("Top Artists by Listening Time");
-    reserveSpace(230);
-    doc.addImage(artistsChartUrl, "PNG", margin, cursorY, contentWidth, 210, undefined, "FAST");
-    cursorY += 226;
-
-    reserveSpace(280, true);
-    addSectionTitle("Top Songs Snapshot");
-    doc.autoTable({
-      startY: cursorY,
-      margin: { left: margin, right: margin },
-      head: [["Rank", "Song", "Artist", "Plays", "Minutes"]],
-      body: report.top10ByPlayCount.slice(0, 10).map((row, index) => [
+    pdf.addTable(
+      "Top 5 Songs",
+      ["Rank", "Song", "Artist", "Plays", "Minutes"],
+      recap.topSongs.map((row, index) => [
         index + 1,
         row.song,
         row.artist,
         row.playCount,
         round2(row.totalMinutes),
       ]),
-      styles: { fontSize: 8.8, cellPadding: 4, textColor: theme.textDark },
-      headStyles: { fillColor: theme.navySoft, textColor: theme.textLight },
-      alternateRowStyles: { fillColor: [239, 247, 242] },
-      tableLineColor: theme.line,
-      tableLineWidth: 0.2,
-      theme: "grid",
-    });
-    cursorY = doc.lastAutoTable.finalY + 14;
-
-    reserveSpace(250, true);
-    addSectionTitle("Most Skipped Songs");
-    doc.autoTable({
-      startY: cursorY,
-      margin: { left: margin, right: margin },
-      head: [["Rank", "Song", "Artist", "Skips", "Skip Rate"]],
-      body: report.top10Skipped.slice(0, 10).map((row, index) => [
+      { reserve: 170 }
+    );
+    pdf.addTable(
+      "Top 5 Artists",
+      ["Rank", "Artist", "Plays", "Unique Songs", "Minutes"],
+      recap.topArtists.map((row, index) => [
         index + 1,
-        row.song,
         row.artist,
-        row.skipCount,
-        `${round2(row.skipRate * 100)}%`,
+        row.playCount,
+        row.uniqueSongs,
+        round2(row.totalMinutes),
       ]),
-      styles: { fontSize: 8.8, cellPadding: 4, textColor: theme.textDark },
-      headStyles: { fillColor: theme.navySoft, textColor: theme.textLight },
-      alternateRowStyles: { fillColor: [242, 248, 252] },
-      tableLineColor: theme.line,
-      tableLineWidth: 0.2,
-      theme: "grid",
-    });
+      { reserve: 170, stripe: "blue" }
+    );
+    if (recap.topAlbums.length) {
+      pdf.addTable(
+        "Top 5 Albums",
+        ["Rank", "Album", "Artist", "Plays", "Minutes"],
+        recap.topAlbums.map((row, index) => [
+          index + 1,
+          row.album,
+          row.artist,
+          row.playCount,
+          round2(row.totalMinutes),
+        ]),
+        { reserve: 170 }
+      );
+    }
+
+    if (recap.newArtistRows.length) {
+      pdf.newPage();
+      pdf.addTable(
+        `New Artists Discovered in ${recap.year}`,
+        ["Rank", "Artist", "First Heard", "Plays", "Unique Songs", "Minutes"],
+        recap.newArtistRows.slice(0, 25).map((row, index) => [
+          index + 1,
+          row.artist,
+          row.firstListen,
+          row.playCount,
+          row.uniqueSongs,
+          round2(row.totalMinutes),
+        ]),
+        { stripe: "blue" }
+      );
+    }
+
+    return pdf.save(`spotify_year_in_review_${recap.year}_${timestampForFilename()}.pdf`);
+  }
 
-    const filename = `spotify_report_snapshot_${timestampForFilename()}.pdf`;
-    doc.save(filename);
-    return filename;
+  function describeYearChange(recap) {
+    if (!recap.previousYear) {
+      return `No listening in ${recap.year - 1}`;
+    }
+    const sign = recap.minutesChange >= 0 ? "+" : "-";
+    const percent =
+      recap.minutesChangeRatio === null
+        ? ""
+        : ` (${sign}${round2(Math.abs(recap.minutesChangeRatio) * 100)}%)`;
+    return `${sign}${formatNumber(round2(Math.abs(recap.minutesChange)))}m${percent}`;
+  }
+
+  function createPdfWriter() {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: "pt", format: "a4", compress: true });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 38;
+    const contentWidth = pageWidth - margin * 2;
+    let cursorY = margin;
+
+    return {
+      doc,
+      drawHeader,
+      drawCards,
+      addSectionTitle,
+      addChart,
+      addTable,
+      newPage,
+      save,
+    };
+
+    function drawHeader(title, lines) {
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(10);
+      const textLines = lines.flatMap((line) => doc.splitTextToSize(line, contentWidth - 36));
+      const headerH = 62 + textLines.length * 14;
 
-    function drawHeader() {
-      doc.setFillColor(...theme.navy);
-      doc.roundedRect(margin, cursorY, contentWidth, 88, 14, 14, "F");
+      doc.setFillColor(...PDF_THEME.navy);
+      doc.roundedRect(margin, cursorY, contentWidth, headerH, 14, 14, "F");
 
       doc.setFont("helvetica", "bold");
-      doc.setTextColor(...theme.textLight);
+      doc.setTextColor(...PDF_THEME.textLight);
       doc.setFontSize(21);
-      doc.text("Spotify Listening Snapshot", margin + 18, cursorY + 34);
+      doc.text(title, margin + 18, cursorY + 34);
 
       doc.setFont("helvetica", "normal");
       doc.setFontSize(10);
-      doc.text(`Generated: ${new Date().toISOString().replace("T", " ").slice(0, 19)} UTC`, margin + 18, cursorY + 56);
-      doc.text(`Range: ${report.dataRange}`, margin + 18, cursorY + 72);
+      textLines.forEach((line, index) => {
+        doc.text(line, margin + 18, cursorY + 56 + index * 14);
+      });
 
-      cursorY += 108;
+      cursorY += headerH + 20;
     }
 
-    function drawSummaryCards() {
+    function drawCards(cards) {
       const gap = 12;
       const cardW = (contentWidth - gap) / 2;
       const cardH = 72;
-
-      const cards = [
-        ["Total Minutes", formatNumber(round2(report.totalMinutes))],
-        ["Unique Songs", formatNumber(report.uniqueSongs)],
-        [
-          "Highest Month",
-          report.peakMonth
-            ? `${report.peakMonth.monthLabel} (${formatNumber(round2(report.peakMonth.minutes))}m)`
-            : "N/A",
-        ],
-        [
-          "Highest Year",
-          report.peakYear
-            ? `${report.peakYear.year} (${formatNumber(round2(report.peakYear.minutes))}m)`
-            : "N/A",
-        ],
-      ];
+      const rows = Math.ceil(cards.length / 2);
+      reserveSpace(cardH * rows + gap * (rows - 1), true);
 
       cards.forEach((card, index) => {
         const row = Math.floor(index / 2);
@@ -843,7 +2062,7 @@
         doc.roundedRect(x, y, cardW, cardH, 10, 10, "S");
 
         doc.setFont("helvetica", "normal");
-        doc.setTextColor(...theme.textDark);
+        doc.setTextColor(...PDF_THEME.textDark);
         doc.setFontSize(10);
         doc.text(card[0], x + 12, y + 24);
 
@@ -852,18 +2071,53 @@
         doc.text(String(card[1]), x + 12, y + 47, { maxWidth: cardW - 20 });
       });
 
-      cursorY += cardH * 2 + gap + 18;
+      cursorY += cardH * rows + gap * (rows - 1) + 18;
     }
 
     function addSectionTitle(title) {
       reserveSpace(26, true);
       doc.setFont("helvetica", "bold");
       doc.setFontSize(13);
-      doc.setTextColor(...theme.navy);
+      doc.setTextColor(...PDF_THEME.navy);
       doc.text(title, margin, cursorY);
       cursorY += 10;
     }
 
+    function addChart(title, imageUrl, height) {
+      reserveSpace(height + 46, true);
+      addSectionTitle(title);
+      doc.addImage(imageUrl, "PNG", margin, cursorY, contentWidth, height, undefined, "FAST");
+      cursorY += height + 16;
+    }
+
+    function addTable(title, head, body, { reserve = 250, stripe = "green" } = {}) {
+      reserveSpace(reserve, true);
+      addSectionTitle(title);
+      doc.autoTable({
+        startY: cursorY,
+        margin: { left: margin, right: margin },
+        head: [head],
+        body,
+        styles: { fontSize: 8.8, cellPadding: 4, textColor: PDF_THEME.textDark },
+        headStyles: { fillColor: PDF_THEME.navySoft, textColor: PDF_THEME.textLight },
+        alternateRowStyles: { fillColor: stripe === "blue" ? [242, 248, 252] : [239, 247, 242] },
+        tableLineColor: PDF_THEME.line,
+        tableLineWidth: 0.2,
+        theme: "grid",
+      });
+      cursorY = doc.lastAutoTable.finalY + 14;
+    }
+
+    function newPage() {
+      doc.addPage();
+      cursorY = margin;
+    }
+
+    function save(filename) {
+      doc.save(filename);
+      return filename;
+    }
+
     function reserveSpace(height, allowNewPage) {
       if (cursorY + height <= pageHeight - margin) {
         return;
@@ -871,9 +2125,252 @@
       if (!allowNewPage) {
         return;
       }
-      doc.addPage();
-      cursorY = margin;
+      newPage();
+    }
+  }
+
+  function renderDashboard(report) {
+    destroyDashboardCharts();
+    state.dashboard.report = report;
+    state.dashboard.query = "";
+    dom.dashSongSearch.value = "";
+    dom.dashboardDetail.hidden = true;
+    dom.dashboardPanel.hidden = false;
+
+    dom.dashboardMeta.textContent = `${report.dataRange} \u00b7 ${report.timeZone} \u00b7 Filters: ${report.activeFilters.join("; ")}`;
+
+    const cards = [
+      ["Total Minutes", formatNumber(round2(report.totalMinutes))],
+      ["Unique Songs", formatNumber(report.uniqueSongs)],
+      [
+        "Highest Month",
+        report.peakMonth
+          ? `${report.peakMonth.monthLabel} (${formatNumber(round2(report.peakMonth.minutes))}m)`
+          : "N/A",
+      ],
+      [
+        "Highest Year",
+        report.peakYear
+          ? `${report.peakYear.year} (${formatNumber(round2(report.peakYear.minutes))}m)`
+          : "N/A",
+      ],
+    ];
+    dom.dashboardCards.innerHTML = cards
+      .map(
+        ([label, value]) =>
+          `<div class="stat-card"><span class="stat-label">${escapeHtml(label)}</span><span class="stat-value">${escapeHtml(
+            value
+          )}</span></div>`
+      )
+      .join("");
+
+    dom.dashMonthSelect.innerHTML = [
+      `<option value="">Choose a month</option>`,
+      ...report.monthlyMinutesRows.map(
+        (row) => `<option value="${escapeHtml(row.month)}">${escapeHtml(row.monthLabel)}</option>`
+      ),
+    ].join("");
+
+    const monthlyRows = report.monthlyMinutesRows;
+    const artistRows = report.topArtistsByMinutes;
+    state.dashboard.charts = [
+      new Chart(dom.dashMonthlyChart, {
+        type: "line",
+        data: {
+          labels: monthlyRows.map((row) => row.monthLabel),
+          datasets: [
+            {
+              label: "Minutes listened",
+              data: monthlyRows.map((row) => round2(row.minutes)),
+              borderColor: "rgba(62,157,127,1)",
+              backgroundColor: "rgba(62,157,127,0.2)",
+              pointRadius: 3,
+              pointHoverRadius: 6,
+              borderWidth: 2,
+              tension: 0.2,
+              fill: true,
+            },
+          ],
+        },
+        options: dashboardChartOptions("Minutes", false, (index) => {
+          showMonthDetail(monthlyRows[index].month);
+        }),
+      }),
+      new Chart(dom.dashArtistsChart, {
+        type: "bar",
+        data: {
+          labels: artistRows.map((row) => row.artist),
+          datasets: [
+            {
+              label: "Minutes",
+              data: artistRows.map((row) => round2(row.totalMinutes)),
+              backgroundColor: "rgba(62,157,127,0.85)",
+              borderRadius: 6,
+            },
+          ],
+        },
+        options: dashboardChartOptions("Minutes", true, (index) => {
+          showArtistDetail(artistRows[index].artist);
+        }),
+      }),
+      new Chart(dom.dashYearlyChart, {
+        type: "bar",
+        data: {
+          labels: report.yearlyMinutesRows.map((row) => String(row.year)),
+          datasets: [
+            {
+              label: "Minutes",
+              data: report.yearlyMinutesRows.map((row) => round2(row.minutes)),
+              backgroundColor: "rgba(120,169,202,0.8)",
+              borderRadius: 6,
+            },
+          ],
+        },
+        options: dashboardChartOptions("Minutes"),
+      }),
+    ];
+
+    renderDashboardSongs();
+    dom.dashboardPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  function destroyDashboardCharts() {
+    state.dashboard.charts.forEach((chart) => chart.destroy());
+    state.dashboard.charts = [];
+  }
+
+  function dashboardChartOptions(yTitle, horizontal = false, onPick = null) {
+    const options = chartOptions(yTitle, horizontal);
+    options.responsive = true;
+    options.animation = { duration: 250 };
+    for (const axis of [options.scales.x, options.scales.y]) {
+      axis.ticks.color = "#a8c0d2";
+      axis.grid.color = "rgba(120,169,202,0.16)";
+    }
+    options.scales.y.title.color = "#a8c0d2";
+
+    if (onPick) {
+      options.onClick = (event, elements) => {
+        if (elements.length) {
+          onPick(elements[0].index);
+        }
+      };
+      options.onHover = (event, elements) => {
+        event.native.target.style.cursor = elements.length ? "pointer" : "default";
+      };
+    }
+    return options;
+  }
+
+  function renderDashboardSongs() {
+    const { report, query, sortKey, sortDir } = state.dashboard;
+    if (!report) {
+      return;
     }
+
+    const matched = query
+      ? report.songRows.filter((row) =>
+          `${row.song}\n${row.artist}\n${row.album}`.toLowerCase().includes(query)
+        )
+      : [...report.songRows];
+    matched.sort((a, b) => {
+      const left = a[sortKey];
+      const right = b[sortKey];
+      const result =
+        typeof left === "string" ? left.localeCompare(right) : left - right;
+      return result * sortDir || compareSongsByPlayCount(a, b);
+    });
+
+    const visible = matched.slice(0, DASHBOARD_ROW_LIMIT);
+    dom.dashSongCount.textContent =
+      matched.length > visible.length
+        ? `Showing ${formatNumber(visible.length)} of ${formatNumber(matched.length)} matching songs.`
+        : `${formatNumber(matched.length)} matching song(s).`;
+
+    dom.dashSongTable.querySelectorAll("th[data-sort]").forEach((header) => {
+      const active = header.dataset.sort === sortKey;
+      header.classList.toggle("is-sorted", active);
+      header.setAttribute("aria-sort", active ? (sortDir > 0 ? "ascending" : "descending") : "none");
+    });
+
+    dom.dashSongTable.querySelector("tbody").innerHTML = visible
+      .map(
+        (row) => `<tr>
+          <td>${escapeHtml(row.song)}</td>
+          <td><button type="button" class="link-btn" data-artist="${escapeHtml(row.artist)}">${escapeHtml(
+            row.artist
+          )}</button></td>
+          <td>${escapeHtml(row.album)}</td>
+          <td class="num">${formatNumber(row.playCount)}</td>
+          <td class="num">${formatNumber(row.skipCount)}</td>
+          <td class="num">${round2(row.skipRate * 100)}%</td>
+          <td class="num">${formatNumber(round2(row.totalMinutes))}</td>
+        </tr>`
+      )
+      .join("");
+  }
+
+  function showArtistDetail(artist) {
+    const { report } = state.dashboard;
+    const songs = report.songRows.filter((row) => row.artist === artist);
+    const totalMinutes = songs.reduce((sum, row) => sum + row.totalMinutes, 0);
+    renderDashboardDetail(
+      artist,
+      `${formatNumber(songs.length)} song(s), ${formatNumber(round2(totalMinutes))} minutes`,
+      ["Song", "Album", "Plays", "Skips", "Minutes"],
+      songs.map((row) => [
+        row.song,
+        row.album,
+        formatNumber(row.playCount),
+        formatNumber(row.skipCount),
+        formatNumber(round2(row.totalMinutes)),
+      ])
+    );
+  }
+
+  function showMonthDetail(month) {
+    const { report } = state.dashboard;
+    const rows = report.topSongsByMonth.get(month) || [];
+    const monthRow = report.monthlyMinutesRows.find((row) => row.month === month);
+    dom.dashMonthSelect.value = month;
+    renderDashboardDetail(
+      `Top tracks in ${formatMonthLabel(month)}`,
+      monthRow ? `${formatNumber(round2(monthRow.minutes))} minutes listened` : "",
+      ["Rank", "Song", "Artist", "Plays", "Minutes"],
+      rows.map((row) => [
+        row.rank,
+        row.song,
+        { artist: row.artist },
+        formatNumber(row.playCount),
+        formatNumber(round2(row.minutesListened)),
+      ])
+    );
+  }
+
+  function renderDashboardDetail(title, subtitle, headers, rows) {
+    const cell = (value) =>
+      value && typeof value === "object"
+        ? `<td><button type="button" class="link-btn" data-artist="${escapeHtml(value.artist)}">${escapeHtml(
+            value.artist
+          )}</button></td>`
+        : `<td>${escapeHtml(value)}</td>`;
+
+    dom.dashboardDetail.innerHTML = `
+      <div class="detail-head">
+        <div>
+          <h3>${escapeHtml(title)}</h3>
+          <p class="muted small">${escapeHtml(subtitle)}</p>
+        </div>
+        <button type="button" class="btn btn-ghost" data-close-detail>Close</button>
+      </div>
+      <div class="table-wrap">
+        <table class="data-table">
+          <thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr></thead>
+          <tbody>${rows.map((row) => `<tr>${row.map(cell).join("")}</tr>`).join("")}</tbody>
+        </table>
+      </div>`;
+    dom.dashboardDetail.hidden = false;
+    dom.dashboardDetail.scrollIntoView({ behavior: "smooth", block: "nearest" });
   }
 
   function chartOptions(yTitle, horizontal = false) {
@@ -905,6 +2402,145 @@
     };
   }
 
+  function discoveryChartConfig(discoveryMonthRows) {
+    const options = chartOptions("New items");
+    options.plugins.legend = { display: true, labels: { color: "#2b3d4f" } };
+    options.scales.rate = {
+      position: "right",
+      min: 0,
+      max: 100,
+      ticks: { color: "#2b3d4f", font: { size: 10 }, callback: (value) => `${value}%` },
+      title: { display: true, text: "Discovery rate", color: "#2b3d4f", font: { size: 10 } },
+      grid: { display: false },
+    };
+
+    return {
+      type: "bar",
+      data: {
+        labels: discoveryMonthRows.map((row) => row.monthLabel),
+        datasets: [
+          {
+            label: "New songs",
+            data: discoveryMonthRows.map((row) => row.newSongs),
+            backgroundColor: "rgba(43,127,102,0.85)",
+            borderRadius: 4,
+          },
+          {
+            label: "New artists",
+            data: discoveryMonthRows.map((row) => row.newArtists),
+            backgroundColor: "rgba(18,56,89,0.85)",
+            borderRadius: 4,
+          },
+          {
+            type: "line",
+            label: "Discovery rate (% of songs played that were new)",
+            data: discoveryMonthRows.map((row) => round2(row.discoveryRate * 100)),
+            yAxisID: "rate",
+            borderColor: "rgba(214,138,44,1)",
+            backgroundColor: "rgba(214,138,44,0.2)",
+            pointRadius: 2,
+            borderWidth: 2,
+            tension: 0.2,
+          },
+        ],
+      },
+      options,
+    };
+  }
+
+  function deviceChartConfig(report) {
+    const options = chartOptions("Minutes");
+    options.plugins.legend = { display: true, labels: { color: "#2b3d4f" } };
+    options.scales.x.stacked = true;
+    options.scales.y.stacked = true;
+    const usedFamilies = new Set(report.deviceFamilyRows.map((row) => row.family));
+
+    return {
+      type: "bar",
+      data: {
+        labels: report.deviceFamilyMonthlyRows.map((row) => row.monthLabel),
+        datasets: report.deviceFamilies
+          .map((family, index) => ({
+            label: family,
+            data: report.deviceFamilyMonthlyRows.map((row) => round2(row.minutesByFamily[index])),
+            backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length],
+          }))
+          .filter((dataset) => usedFamilies.has(dataset.label)),
+      },
+      options,
+    };
+  }
+
+  function heatmapChartConfig(heatmapRows) {
+    const cells = [];
+    heatmapRows.forEach((row, weekdayIndex) => {
+      row.minutesByHour.forEach((minutes, hour) => {
+        cells.push({ x: hour, y: weekdayIndex, minutes });
+      });
+    });
+    const maxMinutes = Math.max(1, ...cells.map((cell) => cell.minutes));
+    const colors = cells.map((cell) => heatColor(cell.minutes / maxMinutes));
+    const weekdays = heatmapRows.map((row) => row.weekday);
+    const options = chartOptions("");
+    const cellsPlugin = {
+      id: "heatmapCells",
+      beforeDatasetsDraw(chart) {
+        const { ctx, chartArea } = chart;
+        const cellWidth = chartArea.width / 24;
+        const cellHeight = chartArea.height / weekdays.length;
+        ctx.save();
+        cells.forEach((cell, index) => {
+          const left = Math.round(chartArea.left + cell.x * cellWidth);
+          const top = Math.round(chartArea.top + cell.y * cellHeight);
+          const right = Math.round(chartArea.left + (cell.x + 1) * cellWidth);
+          const bottom = Math.round(chartArea.top + (cell.y + 1) * cellHeight);
+          ctx.fillStyle = colors[index];
+          ctx.fillRect(left, top, right - left, bottom - top);
+        });
+        ctx.restore();
+      },
+    };
+
+    options.scales.x.type = "linear";
+    options.scales.x.min = -0.5;
+    options.scales.x.max = 23.5;
+    options.scales.x.grid.display = false;
+    options.scales.x.ticks.stepSize = 1;
+    options.scales.x.ticks.callback = (value) => (Number.isInteger(value) ? formatHourLabel(value) : "");
+    options.scales.y.min = -0.5;
+    options.scales.y.max = weekdays.length - 0.5;
+    options.scales.y.reverse = true;
+    options.scales.y.beginAtZero = false;
+    options.scales.y.grid.display = false;
+    options.scales.y.ticks.stepSize = 1;
+    options.scales.y.ticks.callback = (value) => weekdays[value] || "";
+
+    return {
+      type: "scatter",
+      data: {
+        datasets: [
+          {
+            label: "Minutes",
+            data: cells,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            backgroundColor: colors,
+            borderWidth: 0,
+          },
+        ],
+      },
+      options,
+      plugins: [cellsPlugin],
+    };
+  }
+
+  function heatColor(intensity) {
+    const low = [238, 247, 255];
+    const high = [43, 127, 102];
+    const mix = low.map((channel, index) => Math.round(channel + (high[index] - channel) * intensity));
+    return `rgb(${mix.join(",")})`;
+  }
+
   async function chartImage(config) {
     const canvas = document.createElement("canvas");
     canvas.width = 1200;
@@ -982,189 +2618,122 @@
     return widths.map((wch) => ({ wch }));
   }
 
-  function isSongRecord(record) {
-    const trackName = cleanString(record.master_metadata_track_name);
-    const artistName = cleanString(record.master_metadata_album_artist_name);
-    const episodeName = cleanString(record.episode_name);
-    const episodeUri = cleanString(record.spotify_episode_uri);
-
-    if (!trackName || !artistName) {
-      return false;
-    }
-    if (episodeName || episodeUri) {
-      return false;
-    }
-    return true;
-  }
-
-  function parseTimestamp(value) {
-    if (typeof value !== "string" || !value.trim()) {
-      return null;
-    }
-
-    let date = new Date(value);
-    if (!Number.isNaN(date.getTime())) {
-      return date;
-    }
-
-    const maybeIso = value.includes("T") ? value : value.replace(" ", "T");
-    const withZone = maybeIso.endsWith("Z") ? maybeIso : `${maybeIso}Z`;
-    date = new Date(withZone);
-    if (Number.isNaN(date.getTime())) {
-      return null;
-    }
-    return date;
+  function isSupportedInputFile(fileName) {
+    const lower = fileName.toLowerCase();
+    return lower.endsWith(".zip") || lower.endsWith(".json");
   }
 
-  function timestampToMonthKey(date) {
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-    return `${year}-${month}`;
+  function getReportOptions(mode) {
+    return {
+      timeZone: dom.timeZoneSelect.value || browserTimeZone(),
+      sessionGapMinutes: Number(dom.sessionGapInput.value),
+      bingeThreshold: Number(dom.bingeThresholdInput.value),
+      skipThresholdSeconds: Number(dom.skipThresholdInput.value),
+      excludeIncognitoFromTops: dom.incognitoTopsSelect.value === "exclude",
+      playRule: readPlayRule(),
+      trackIdentity: dom.trackIdentitySelect.value,
+      filters: readFilters(),
+      recapYear: mode === "recap" ? readRecapYear() : null,
+      comparison: mode === "excel" || mode === "pdf" ? readComparison() : null,
+    };
   }
 
-  function cleanString(value) {
-    if (typeof value !== "string") {
-      return "";
+  function readPlayRule() {
+    const mode = dom.playRuleSelect.value;
+    if (mode === "percent") {
+      const percent = Number(dom.playRulePercentInput.value);
+      if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+        throw new Error("The play share must be between 1 and 100 percent.");
+      }
+      return { mode, percent };
+    }
+    if (mode === "custom") {
+      const minSeconds = Number(dom.playRuleSecondsInput.value);
+      if (!Number.isFinite(minSeconds) || minSeconds < 0) {
+        throw new Error("The minimum play time must be zero or more seconds.");
+      }
+      return { mode, minSeconds };
     }
-    return value.trim();
+    return { mode: mode === "30s" ? "30s" : "all" };
   }
 
-  function sanitizeMs(value) {
-    const num = Number(value);
-    if (!Number.isFinite(num)) {
-      return 0;
+  function readComparison() {
+    if (dom.compareModeSelect.value === "years") {
+      return {
+        periodA: comparisonYearPeriod(dom.compareYearA.value, "A"),
+        periodB: comparisonYearPeriod(dom.compareYearB.value, "B"),
+      };
     }
-    if (num < 0) {
-      return 0;
+    if (dom.compareModeSelect.value === "ranges") {
+      return {
+        periodA: comparisonRangePeriod(dom.compareFromA.value, dom.compareToA.value, "A"),
+        periodB: comparisonRangePeriod(dom.compareFromB.value, dom.compareToB.value, "B"),
+      };
     }
-    return Math.round(num);
+    return null;
   }
 
-  function incrementCounter(counter, value) {
-    if (!value) {
-      return;
+  function comparisonYearPeriod(value, name) {
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < 2000 || year > 9999) {
+      throw new Error(`Enter a valid year for comparison period ${name}.`);
     }
-    counter.set(value, (counter.get(value) || 0) + 1);
+    return { label: String(year), dateFrom: `${year}-01-01`, dateTo: `${year}-12-31` };
   }
 
-  function mostCommonCounterKey(counter) {
-    let bestKey = "";
-    let bestCount = -1;
-    for (const [key, count] of counter.entries()) {
-      if (count > bestCount) {
-        bestKey = key;
-        bestCount = count;
-      }
+  function comparisonRangePeriod(dateFrom, dateTo, name) {
+    if (!dateFrom || !dateTo) {
+      throw new Error(`Comparison period ${name} needs both a start and an end date.`);
     }
-    return bestKey;
-  }
-
-  function makeSongKey(song, artist) {
-    return `${song}${KEY_SEP}${artist}`;
-  }
-
-  function splitSongKey(songKey) {
-    const splitIndex = songKey.indexOf(KEY_SEP);
-    if (splitIndex < 0) {
-      return [songKey, ""];
+    if (dateFrom > dateTo) {
+      throw new Error(`Comparison period ${name} starts after it ends.`);
     }
-    return [songKey.slice(0, splitIndex), songKey.slice(splitIndex + 1)];
-  }
-
-  function compareSongsByPlayCount(a, b) {
-    return (
-      (b.playCount - a.playCount) ||
-      (b.totalMs - a.totalMs) ||
-      (b.skipCount - a.skipCount) ||
-      a.artist.localeCompare(b.artist) ||
-      a.song.localeCompare(b.song)
-    );
-  }
-
-  function compareSongsByListenTime(a, b) {
-    return (
-      (b.totalMs - a.totalMs) ||
-      (b.playCount - a.playCount) ||
-      a.artist.localeCompare(b.artist) ||
-      a.song.localeCompare(b.song)
-    );
-  }
-
-  function compareSongsBySkipCount(a, b) {
-    return (
-      (b.skipCount - a.skipCount) ||
-      (b.playCount - a.playCount) ||
-      a.artist.localeCompare(b.artist) ||
-      a.song.localeCompare(b.song)
-    );
-  }
-
-  function compareMonthlySongRank(a, b) {
-    const [songA, statA] = a;
-    const [songB, statB] = b;
-    const [titleA, artistA] = splitSongKey(songA);
-    const [titleB, artistB] = splitSongKey(songB);
-
-    return (
-      (statB.playCount - statA.playCount) ||
-      (statB.totalMs - statA.totalMs) ||
-      artistA.localeCompare(artistB) ||
-      titleA.localeCompare(titleB)
-    );
-  }
-
-  function compareArtistsByTime(a, b) {
-    return (
-      (b.totalMs - a.totalMs) ||
-      (b.playCount - a.playCount) ||
-      a.artist.localeCompare(b.artist)
-    );
+    return { label: `${dateFrom} to ${dateTo}`, dateFrom, dateTo };
   }
 
-  function pickPeak(rows, valueAccessor, tieBreakerAccessor) {
-    if (!rows.length) {
-      return null;
-    }
-    let best = rows[0];
-
-    for (let index = 1; index < rows.length; index += 1) {
-      const current = rows[index];
-      const currentValue = valueAccessor(current);
-      const bestValue = valueAccessor(best);
-
-      if (
-        currentValue > bestValue ||
-        (currentValue === bestValue &&
-          String(tieBreakerAccessor(current)) > String(tieBreakerAccessor(best)))
-      ) {
-        best = current;
-      }
+  function readRecapYear() {
+    const year = Number(dom.recapYearInput.value);
+    if (!Number.isInteger(year) || year < 2000 || year > 9999) {
+      throw new Error("Enter a valid year for the Year in Review.");
     }
+    return year;
+  }
 
-    if ("month" in best) {
-      return {
-        month: best.month,
-        monthLabel: best.monthLabel,
-        totalMs: best.totalMs,
-        minutes: best.minutes,
-      };
+  function readFilters() {
+    const dateFrom = dom.filterDateFrom.value;
+    const dateTo = dom.filterDateTo.value;
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+      throw new Error("Filter start date is after the end date.");
     }
 
+    const minSeconds = Number(dom.filterMinSeconds.value);
     return {
-      year: best.year,
-      totalMs: best.totalMs,
-      minutes: best.minutes,
+      dateFrom,
+      dateTo,
+      includeArtists: splitList(dom.filterIncludeArtists.value, /\n/),
+      excludeArtists: splitList(dom.filterExcludeArtists.value, /\n/),
+      platforms: splitList(dom.filterPlatforms.value, /[,\n]/),
+      countries: splitList(dom.filterCountries.value, /[,\n]/),
+      minMsPlayed: Number.isFinite(minSeconds) && minSeconds > 0 ? Math.round(minSeconds * 1000) : 0,
+      shuffle: dom.filterShuffle.value,
+      incognito: dom.filterIncognito.value,
+      offline: dom.filterOffline.value,
     };
   }
 
-  function isSupportedInputFile(fileName) {
-    const lower = fileName.toLowerCase();
-    return lower.endsWith(".zip") || lower.endsWith(".json");
+  function splitList(value, separator) {
+    return value
+      .split(separator)
+      .map((item) => item.trim())
+      .filter(Boolean);
   }
 
   function getSelectedMode() {
     const selected = document.querySelector("input[name='outputMode']:checked");
-    return selected?.value === "pdf" ? "pdf" : "excel";
+    if (["pdf", "dashboard", "recap"].includes(selected?.value)) {
+      return selected.value;
+    }
+    return "excel";
   }
 
   function fileUniqueKey(file) {
@@ -1182,31 +2751,6 @@
     return `${size.toFixed(size < 10 && unitIndex > 0 ? 1 : 0)} ${units[unitIndex]}`;
   }
 
-  function formatMonthLabel(monthKey) {
-    const parts = monthKey.split("-");
-    if (parts.length !== 2) {
-      return monthKey;
-    }
-    const year = Number(parts[0]);
-    const month = Number(parts[1]);
-    if (!Number.isFinite(year) || !Number.isFinite(month) || month < 1 || month > 12) {
-      return monthKey;
-    }
-    return `${MONTH_NAMES[month - 1]} ${year}`;
-  }
-
-  function round2(value) {
-    return Math.round((value + Number.EPSILON) * 100) / 100;
-  }
-
-  function round4(value) {
-    return Math.round((value + Number.EPSILON) * 10000) / 10000;
-  }
-
-  function formatNumber(value) {
-    return Number(value).toLocaleString();
-  }
-
   function timestampForFilename() {
     const now = new Date();
     const yyyy = now.getFullYear();
@@ -1250,10 +2794,4 @@
       .replaceAll("'", "&#39;");
   }
 
-  function errorMessage(error) {
-    if (error instanceof Error) {
-      return error.message;
-    }
-    return String(error);
-  }
 })();
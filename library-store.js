@@ -0,0 +1,288 @@
+(() => {
+  "use strict";
+
+  const DB_NAME = "spotify-report-builder";
+  const DB_VERSION = 2;
+  const LIBRARY_STORE = "libraries";
+  const CHUNK_STORE = "chunks";
+  const IMPORT_STORE = "imports";
+  const RECORDS_PER_CHUNK = 5000;
+  const MAX_PENDING_WRITES = 4;
+  const STALE_IMPORT_MS = 15 * 60 * 1000;
+
+  let databasePromise = null;
+
+  function isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+            db.createObjectStore(LIBRARY_STORE, { keyPath: "id", autoIncrement: true });
+          }
+          const chunks = db.objectStoreNames.contains(CHUNK_STORE)
+            ? request.transaction.objectStore(CHUNK_STORE)
+            : db.createObjectStore(CHUNK_STORE, { autoIncrement: true });
+          if (!chunks.indexNames.contains("libraryId")) {
+            chunks.createIndex("libraryId", "libraryId");
+          }
+          if (!chunks.indexNames.contains("importKey")) {
+            chunks.createIndex("importKey", ["libraryId", "importId"]);
+          }
+          if (!db.objectStoreNames.contains(IMPORT_STORE)) {
+            db.createObjectStore(IMPORT_STORE, { keyPath: ["libraryId", "importId"] });
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          db.onversionchange = () => {
+            db.close();
+            databasePromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error || new Error("Could not open saved libraries."));
+        request.onblocked = () =>
+          reject(new Error("Saved libraries are blocked by another open tab of this page."));
+      });
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  async function listLibraries() {
+    const db = await openDatabase();
+    const libraries = await requestResult(
+      db.transaction(LIBRARY_STORE, "readonly").objectStore(LIBRARY_STORE).getAll()
+    );
+    return libraries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async function getLibrary(libraryId) {
+    const db = await openDatabase();
+    const library = await requestResult(
+      db.transaction(LIBRARY_STORE, "readonly").objectStore(LIBRARY_STORE).get(libraryId)
+    );
+    return library || null;
+  }
+
+  function draftLibrary(name) {
+    const now = new Date().toISOString();
+    return {
+      id: Date.now(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      recordCount: 0,
+      duplicateRecords: 0,
+      imports: [],
+    };
+  }
+
+  async function saveLibrary(library) {
+    const db = await openDatabase();
+    const transaction = db.transaction([LIBRARY_STORE, IMPORT_STORE], "readwrite");
+    transaction.objectStore(LIBRARY_STORE).put(library);
+    for (const entry of library.imports) {
+      transaction.objectStore(IMPORT_STORE).delete([library.id, entry.id]);
+    }
+    await transactionDone(transaction);
+  }
+
+  async function deleteLibrary(libraryId) {
+    const db = await openDatabase();
+    const transaction = db.transaction([LIBRARY_STORE, CHUNK_STORE], "readwrite");
+    transaction.objectStore(LIBRARY_STORE).delete(libraryId);
+    deleteChunks(transaction, libraryId);
+    await transactionDone(transaction);
+  }
+
+  async function pruneUnsavedChunks() {
+    const db = await openDatabase();
+    const transaction = db.transaction([LIBRARY_STORE, CHUNK_STORE, IMPORT_STORE], "readwrite");
+    const librariesRequest = transaction.objectStore(LIBRARY_STORE).getAll();
+    const importsRequest = transaction.objectStore(IMPORT_STORE).getAll();
+    importsRequest.onsuccess = () => {
+      const savedImports = new Map(
+        librariesRequest.result.map((library) => [
+          library.id,
+          new Set(library.imports.map((entry) => entry.id)),
+        ])
+      );
+      const staleBefore = Date.now() - STALE_IMPORT_MS;
+      const activeImports = new Map();
+      for (const entry of importsRequest.result) {
+        const saved = savedImports.get(entry.libraryId)?.has(entry.importId);
+        if (saved || entry.heartbeatAt < staleBefore) {
+          transaction.objectStore(IMPORT_STORE).delete([entry.libraryId, entry.importId]);
+        } else {
+          const importIds = activeImports.get(entry.libraryId) || new Set();
+          activeImports.set(entry.libraryId, importIds.add(entry.importId));
+        }
+      }
+
+      const chunks = transaction.objectStore(CHUNK_STORE);
+      const cursorRequest = chunks.index("importKey").openKeyCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          return;
+        }
+        const [libraryId, importId] = cursor.key;
+        if (
+          !savedImports.get(libraryId)?.has(importId) &&
+          !activeImports.get(libraryId)?.has(importId)
+        ) {
+          chunks.delete(cursor.primaryKey);
+        }
+        cursor.continue();
+      };
+    };
+    await transactionDone(transaction);
+  }
+
+  function deleteChunks(transaction, libraryId) {
+    const chunks = transaction.objectStore(CHUNK_STORE);
+    const request = chunks.index("libraryId").openKeyCursor(IDBKeyRange.only(libraryId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        return;
+      }
+      chunks.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  }
+
+  async function readRecords(library, onChunk) {
+    const importIds = new Set(library.imports.map((entry) => entry.id));
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CHUNK_STORE, "readonly");
+      const request = transaction
+        .objectStore(CHUNK_STORE)
+        .index("libraryId")
+        .openCursor(IDBKeyRange.only(library.id));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (importIds.has(cursor.value.importId)) {
+          try {
+            onChunk(cursor.value.records);
+          } catch (error) {
+            reject(error);
+            transaction.abort();
+            return;
+          }
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function createRecordWriter(libraryId, importId) {
+    const pending = new Set();
+    let buffer = [];
+    let count = 0;
+    let failure = null;
+
+    return {
+      add,
+      flush,
+      waitForWrites,
+      get count() {
+        return count;
+      },
+    };
+
+    function add(record) {
+      if (failure) {
+        throw failure;
+      }
+      buffer.push(record);
+      count += 1;
+      if (buffer.length >= RECORDS_PER_CHUNK) {
+        writeBuffer();
+      }
+    }
+
+    async function flush() {
+      if (buffer.length) {
+        writeBuffer();
+      }
+      await Promise.all(pending);
+      if (failure) {
+        throw failure;
+      }
+    }
+
+    function waitForWrites() {
+      if (pending.size < MAX_PENDING_WRITES) {
+        return null;
+      }
+      return Promise.all(pending).then(() => {
+        if (failure) {
+          throw failure;
+        }
+      });
+    }
+
+    function writeBuffer() {
+      const records = buffer;
+      buffer = [];
+      const write = openDatabase()
+        .then((db) => {
+          const transaction = db.transaction([CHUNK_STORE, IMPORT_STORE], "readwrite");
+          transaction.objectStore(CHUNK_STORE).add({ libraryId, importId, records });
+          transaction
+            .objectStore(IMPORT_STORE)
+            .put({ libraryId, importId, heartbeatAt: Date.now() });
+          return transactionDone(transaction);
+        })
+        .catch((error) => {
+          failure = failure || error;
+        })
+        .finally(() => pending.delete(write));
+      pending.add(write);
+    }
+  }
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error("Saving to the library was aborted."));
+    });
+  }
+
+  self.LibraryStore = {
+    isAvailable,
+    listLibraries,
+    getLibrary,
+    draftLibrary,
+    saveLibrary,
+    deleteLibrary,
+    pruneUnsavedChunks,
+    readRecords,
+    createRecordWriter,
+  };
+})();
@@ -0,0 +1,2853 @@
+(() => {
+  "use strict";
+
+  const KEY_SEP = "\u001f";
+  const OFFSET_CACHE_SLOT_MS = 15 * 60 * 1000;
+  const PROGRESS_EVERY_RECORDS = 50000;
+  const DEFAULT_SESSION_GAP_MINUTES = 30;
+  const COMPARISON_RANK_POOL = 50;
+  const REDISCOVERY_MIN_GAP_DAYS = 30;
+  const DEFAULT_BINGE_PLAYS = 5;
+  const DEFAULT_SKIP_THRESHOLD_SECONDS = 30;
+  const STREAM_COUNT_SECONDS = 30;
+  const HISTORY_FORMAT_LABELS = {
+    extended: "Extended streaming history",
+    "basic-music": "Basic streaming history (music)",
+    "basic-podcast": "Basic streaming history (podcasts)",
+  };
+  const BASIC_END_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(?::(\d{2}))?$/;
+  const HISTORY_FORMAT_FIELDS = {
+    extended: [
+      "ts",
+      "platform",
+      "ms_played",
+      "conn_country",
+      "master_metadata_track_name",
+      "master_metadata_album_artist_name",
+      "master_metadata_album_album_name",
+      "spotify_track_uri",
+      "episode_name",
+      "episode_show_name",
+      "spotify_episode_uri",
+      "reason_start",
+      "reason_end",
+      "shuffle",
+      "skipped",
+      "offline",
+      "offline_timestamp",
+      "incognito_mode",
+    ],
+    "basic-music": ["endTime", "artistName", "trackName", "msPlayed"],
+    "basic-podcast": ["endTime", "podcastName", "episodeName", "msPlayed"],
+  };
+  const AUDIOBOOK_FIELDS = [
+    "audiobook_title",
+    "audiobook_uri",
+    "audiobook_chapter_uri",
+    "audiobook_chapter_title",
+  ];
+  const OPTIONAL_HISTORY_FIELDS = {
+    extended: ["username", "ip_addr", "ip_addr_decrypted", "user_agent_decrypted", ...AUDIOBOOK_FIELDS],
+  };
+  const MAX_MS_PLAYED = 24 * 60 * 60 * 1000;
+  const MIN_VALID_TIMESTAMP_MS = Date.UTC(2008, 0, 1);
+  const TRACK_IDENTITY_MODES = ["uri", "name", "normalized"];
+  const TITLE_VARIANT_PATTERNS = [
+    /\s+-\s+[^-]*\b(?:remaster(?:ed)?|live|feat\.?|ft\.|featuring)\b.*$/i,
+    /\s*[([][^)\]]*\b(?:remaster(?:ed)?|live)\b[^)\]]*[)\]]/gi,
+    /\s*[([]\s*(?:feat\.?|ft\.|featuring|with)\s[^)\]]*[)\]]/gi,
+    /\s+(?:feat\.?|ft\.|featuring)\s.*$/i,
+  ];
+  const MONTH_NAMES = [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+  ];
+  const WEEKDAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+  const DEVICE_FAMILIES = ["Phone", "Desktop", "Web", "Smart Speaker", "TV", "Console", "Car", "Other"];
+  const DEVICE_FAMILY_PATTERNS = [
+    [
+      "TV",
+      /android[ _]?tv|[ _]tv\b|\btv[ _]|tvos|apple ?tv|fire ?tv|amazon[,; ]+aft|roku|chromecast(?![ _]?audio)|google[ _]?cast(?![ _]?audio)|samsung[ _]?tv|tizen|webos|smart ?tv|vizio|bravia/,
+    ],
+    ["Car", /android auto|carplay|car thing|automotive|tesla|\bcar\b/],
+    ["Console", /playstation|\bps[345]\b|xbox|nintendo/],
+    ["Web", /web[ _]?player|webplayer|browser/],
+    [
+      "Smart Speaker",
+      /sonos|\becho|alexa|cast[ _]?audio|google[ _]?home|homepod|speaker|bose|denon|yamaha|bang ?& ?olufsen|bluesound|marantz/,
+    ],
+    ["Phone", /android|ios|iphone|ipad|mobile|tablet/],
+    ["Desktop", /windows|os ?x|mac ?os|macintosh|linux|desktop/],
+  ];
+  const REGION_NAMES =
+    typeof Intl.DisplayNames === "function" ? new Intl.DisplayNames(["en"], { type: "region" }) : null;
+  const SILENT_HOOKS = {
+    status() {},
+    isCancelled: () => false,
+  };
+
+  async function runReportJob(source, options, hooks) {
+    const builderOptions = { ...options };
+    if (options.playRule?.mode === "percent") {
+      hooks.status("Estimating track lengths from the longest observed plays...");
+      builderOptions.trackLengths = await estimateTrackLengths(source, hooks);
+    }
+
+    hooks.status(source.libraryId ? "Reading saved library..." : "Reading selected files...");
+    const builder = createReportBuilder(builderOptions, hooks);
+    const periodBuilders = reportPeriods(options).map((period) => ({
+      period,
+      builder: createReportBuilder(
+        { ...builderOptions, filters: narrowDateRange(options.filters, period) },
+        SILENT_HOOKS
+      ),
+    }));
+    const onRecord = periodBuilders.length
+      ? (record) => {
+          builder.add(record);
+          periodBuilders.forEach((entry) => entry.builder.add(record));
+        }
+      : builder.add;
+    const parsedInputMeta = await readReportSource(source, onRecord, hooks);
+
+    if (!builder.recordsRead) {
+      throw new Error("No valid JSON streaming records were found in the selected files.");
+    }
+
+    hooks.status(
+      `Loaded ${formatNumber(builder.recordsRead)} total records from ${parsedInputMeta.parsedJsonCount} JSON file(s).`,
+      "ok"
+    );
+
+    const report = builder.finish(parsedInputMeta);
+    if (report.excludedByFilters > 0) {
+      hooks.status(`Filters excluded ${formatNumber(report.excludedByFilters)} record(s).`);
+    }
+    if (report.songRecordsUsed === 0 && report.podcastShowRows.length === 0) {
+      throw new Error(
+        report.excludedByFilters > 0
+          ? "No song, podcast or audiobook records matched the active filters."
+          : "No song, podcast or audiobook records were found in the selected files."
+      );
+    }
+
+    const periodReports = new Map(
+      periodBuilders.map(({ period, builder: periodBuilder }) => [
+        period.id,
+        periodBuilder.finish(parsedInputMeta),
+      ])
+    );
+
+    if (options.recapYear) {
+      const yearReport = periodReports.get("recap");
+      if (yearReport.songRecordsUsed === 0) {
+        throw new Error(`No song listening was found for ${options.recapYear}.`);
+      }
+      report.yearInReview = buildYearInReview(report, yearReport, options.recapYear);
+    }
+
+    if (options.comparison) {
+      const { periodA, periodB } = options.comparison;
+      const reportA = periodReports.get("compareA");
+      const reportB = periodReports.get("compareB");
+      [
+        [periodA, reportA],
+        [periodB, reportB],
+      ].forEach(([period, periodReport]) => {
+        if (periodReport.songRecordsUsed === 0) {
+          hooks.status(`No song listening was found for comparison period ${period.label}.`, "warn");
+        }
+      });
+      report.comparison = buildComparison(reportA, reportB, periodA, periodB);
+    }
+    return report;
+  }
+
+  async function runImportJob(files, target, hooks) {
+    const library = target.libraryId
+      ? await LibraryStore.getLibrary(target.libraryId)
+      : LibraryStore.draftLibrary(target.name);
+    if (!library) {
+      throw new Error("The selected library no longer exists.");
+    }
+
+    try {
+      return await importIntoLibrary(files, library, hooks);
+    } catch (error) {
+      if (!target.libraryId) {
+        await LibraryStore.deleteLibrary(library.id);
+      }
+      throw error;
+    }
+  }
+
+  async function importIntoLibrary(files, library, hooks) {
+    const seenRecords = new Map();
+    if (library.recordCount > 0) {
+      hooks.status(`Checking ${formatNumber(library.recordCount)} stored records for overlap...`);
+      await readLibraryRecords(
+        library,
+        (record) => seenRecords.set(recordIdentityKey(record), 0),
+        hooks
+      );
+    }
+
+    await LibraryStore.pruneUnsavedChunks();
+    const importId = Math.max(Date.now(), ...library.imports.map((entry) => entry.id + 1));
+    const writer = LibraryStore.createRecordWriter(library.id, importId);
+    const parsedInputMeta = await parseUploadedFiles(
+      files,
+      (record) => writer.add(storedRecord(record)),
+      { ...hooks, waitForWrites: writer.waitForWrites },
+      seenRecords
+    );
+    await writer.flush();
+    throwIfCancelled(hooks);
+    if (!parsedInputMeta.parsedJsonCount) {
+      throw new Error("No JSON files could be read from the selected files.");
+    }
+
+    library.imports.push({
+      id: importId,
+      addedAt: new Date().toISOString(),
+      recordCount: writer.count,
+      duplicateRecords: parsedInputMeta.duplicateRecords,
+      fileFormats: parsedInputMeta.fileFormats,
+      dataQualityRows: parsedInputMeta.dataQualityRows,
+    });
+    library.recordCount += writer.count;
+    library.duplicateRecords += parsedInputMeta.duplicateRecords;
+    library.updatedAt = new Date().toISOString();
+    await LibraryStore.saveLibrary(library);
+
+    hooks.status(
+      `Saved ${formatNumber(writer.count)} new record(s) to library "${library.name}".`,
+      "ok"
+    );
+    return library;
+  }
+
+  function readReportSource(source, onRecord, hooks) {
+    return source.libraryId
+      ? readLibrary(source.libraryId, onRecord, hooks)
+      : parseUploadedFiles(source.files, onRecord, hooks);
+  }
+
+  async function readLibrary(libraryId, onRecord, hooks) {
+    const library = await LibraryStore.getLibrary(libraryId);
+    if (!library) {
+      throw new Error("The selected library no longer exists.");
+    }
+
+    hooks.status(
+      `Reading library "${library.name}" (${formatNumber(library.recordCount)} records)...`
+    );
+    await readLibraryRecords(library, onRecord, hooks);
+
+    const dataQualityRows = library.imports.flatMap((entry) => entry.dataQualityRows);
+    return {
+      parsedJsonCount: dataQualityRows.length,
+      zipCount: 0,
+      jsonCount: 0,
+      skippedCount: 0,
+      duplicateRecords: library.duplicateRecords,
+      dataQualityRows,
+      fileFormats: library.imports.flatMap((entry) => entry.fileFormats),
+      libraryName: library.name,
+    };
+  }
+
+  function readLibraryRecords(library, onRecord, hooks) {
+    return LibraryStore.readRecords(library, (records) => {
+      throwIfCancelled(hooks);
+      records.forEach(onRecord);
+    });
+  }
+
+  function storedRecord(record) {
+    const stored = {};
+    for (const field of [...HISTORY_FORMAT_FIELDS.extended, ...AUDIOBOOK_FIELDS]) {
+      if (record[field] !== undefined && record[field] !== null) {
+        stored[field] = record[field];
+      }
+    }
+    return stored;
+  }
+
+  async function estimateTrackLengths(source, hooks) {
+    const trackLengths = new Map();
+    const quietHooks = { status() {}, isCancelled: () => hooks.isCancelled() };
+    await readReportSource(
+      source,
+      (record) => {
+        if (recordKind(record) !== "song") {
+          return;
+        }
+        const key = trackLengthKey(record);
+        const msPlayed = sanitizeMs(record.ms_played);
+        if (msPlayed > (trackLengths.get(key) || 0)) {
+          trackLengths.set(key, msPlayed);
+        }
+      },
+      quietHooks
+    );
+    return trackLengths;
+  }
+
+  function reportPeriods(options) {
+    const periods = [];
+    if (options.recapYear) {
+      periods.push({ id: "recap", ...yearDateRange(options.recapYear) });
+    }
+    if (options.comparison) {
+      periods.push(
+        { id: "compareA", ...options.comparison.periodA },
+        { id: "compareB", ...options.comparison.periodB }
+      );
+    }
+    return periods;
+  }
+
+  function yearDateRange(year) {
+    return { dateFrom: `${year}-01-01`, dateTo: `${year}-12-31` };
+  }
+
+  function narrowDateRange(filters, range) {
+    return {
+      ...filters,
+      dateFrom: filters.dateFrom > range.dateFrom ? filters.dateFrom : range.dateFrom,
+      dateTo: filters.dateTo && filters.dateTo < range.dateTo ? filters.dateTo : range.dateTo,
+    };
+  }
+
+  function buildYearInReview(report, yearReport, year) {
+    const firstListenByArtist = new Map(
+      report.artistRows.map((row) => [row.artist, row.firstListen])
+    );
+    const newArtistRows = yearReport.artistRows
+      .filter((row) => (firstListenByArtist.get(row.artist) || "").startsWith(`${year}-`))
+      .map((row) => ({
+        artist: row.artist,
+        firstListen: firstListenByArtist.get(row.artist),
+        playCount: row.playCount,
+        uniqueSongs: row.uniqueSongs,
+        totalMinutes: row.totalMinutes,
+      }));
+    const newArtistMinutes = newArtistRows.reduce((sum, row) => sum + row.totalMinutes, 0);
+    const previousYear = report.yearlyMinutesRows.find((row) => row.year === year - 1) || null;
+
+    return {
+      year,
+      timeZone: report.timeZone,
+      activeFilters: report.activeFilters,
+      dataRange: yearReport.dataRange,
+      totalMinutes: yearReport.totalMinutes,
+      totalHours: yearReport.totalHours,
+      songRecordsUsed: yearReport.songRecordsUsed,
+      uniqueSongs: yearReport.uniqueSongs,
+      uniqueArtists: yearReport.uniqueArtists,
+      uniqueAlbums: yearReport.uniqueAlbums,
+      topSongs: yearReport.top10ByPlayCount.slice(0, 5),
+      topArtists: yearReport.topArtistsByMinutes.slice(0, 5),
+      topAlbums: yearReport.top10Albums.slice(0, 5),
+      newArtistRows,
+      newArtistCount: newArtistRows.length,
+      newArtistShare: yearReport.totalMinutes ? newArtistMinutes / yearReport.totalMinutes : 0,
+      biggestMonth: yearReport.peakMonth,
+      monthlyMinutesRows: yearReport.monthlyMinutesRows,
+      mostLoopedDay: yearReport.mostLoopedDay,
+      mostActiveHour: yearReport.mostActiveHour,
+      mostActiveWeekday: yearReport.mostActiveWeekday,
+      sessionCount: yearReport.sessionCount,
+      longestSessionMinutes: yearReport.longestSessionMinutes,
+      previousYear,
+      minutesChange: previousYear ? yearReport.totalMinutes - previousYear.minutes : null,
+      minutesChangeRatio:
+        previousYear && previousYear.minutes ? yearReport.totalMinutes / previousYear.minutes - 1 : null,
+      yearlyMinutesRows: report.yearlyMinutesRows.filter(
+        (row) => row.year >= year - 4 && row.year <= year
+      ),
+    };
+  }
+
+  async function parseUploadedFiles(files, onUniqueRecord, hooks, seenRecords = new Map()) {
+    let parsedJsonCount = 0;
+    let zipCount = 0;
+    let jsonCount = 0;
+    let skippedCount = 0;
+    let duplicateRecords = 0;
+    const fileFormats = [];
+    const qualityTrackers = [];
+    const onRecord = (record, sourceId) => {
+      const key = recordIdentityKey(record);
+      if (key) {
+        const seenIn = seenRecords.get(key);
+        if (seenIn !== undefined && seenIn !== sourceId) {
+          duplicateRecords += 1;
+          return;
+        }
+        seenRecords.set(key, sourceId);
+      }
+      onUniqueRecord(record);
+    };
+
+    for (const file of files) {
+      throwIfCancelled(hooks);
+      const lower = file.name.toLowerCase();
+      const formats = new Map();
+      const recordReader = (entryName) => {
+        const quality = createQualityTracker(
+          entryName === file.name ? file.name : `${file.name} -> ${entryName}`
+        );
+        const sourceId = qualityTrackers.push(quality);
+        return (item) => {
+          const format = historyFormat(item, entryName);
+          const record = format.startsWith("basic") ? normalizeBasicRecord(item, format) : item;
+          incrementCounter(formats, format);
+          quality.check(item, format, record);
+          onRecord(record, sourceId);
+        };
+      };
+      fileFormats.push({ name: file.name, formats });
+      if (lower.endsWith(".zip")) {
+        zipCount += 1;
+        hooks.status(`Scanning ZIP: ${file.name}`);
+        const zipResult = await parseZipFile(file, recordReader, hooks);
+        parsedJsonCount += zipResult.parsedJsonCount;
+        skippedCount += zipResult.skippedEntries;
+      } else if (lower.endsWith(".json")) {
+        jsonCount += 1;
+        const parser = createJsonArrayParser(file.name, recordReader(file.name));
+        try {
+          await parseJsonBlob(file, parser, hooks);
+          parsedJsonCount += 1;
+          hooks.status(`Parsed ${file.name} (${formatNumber(parser.count)} records).`);
+        } catch (error) {
+          if (error.cancelled) {
+            throw error;
+          }
+          skippedCount += 1;
+          hooks.status(partialParseMessage(file.name, error, parser.count), "warn");
+        }
+      } else {
+        skippedCount += 1;
+        hooks.status(`Unsupported file skipped: ${file.name}`, "warn");
+      }
+    }
+
+    if (zipCount > 0) {
+      hooks.status(`ZIP files processed: ${zipCount}`);
+    }
+    if (jsonCount > 0) {
+      hooks.status(`Direct JSON files processed: ${jsonCount}`);
+    }
+    if (skippedCount > 0) {
+      hooks.status(`Skipped entries/files: ${skippedCount}`, "warn");
+    }
+    if (duplicateRecords > 0) {
+      hooks.status(
+        `Dropped ${formatNumber(duplicateRecords)} duplicate record(s) that appeared in more than one export.`,
+        "warn"
+      );
+    }
+    const dataQualityRows = qualityTrackers.map((quality) => quality.summary());
+    const flaggedRecords = dataQualityRows.reduce((sum, row) => sum + row.flaggedRecords, 0);
+    if (flaggedRecords > 0) {
+      hooks.status(
+        `Data quality: ${formatNumber(flaggedRecords)} record(s) had bad play times or timestamps. See Data_Quality.`,
+        "warn"
+      );
+    }
+
+    return {
+      parsedJsonCount,
+      zipCount,
+      jsonCount,
+      skippedCount,
+      duplicateRecords,
+      dataQualityRows,
+      fileFormats: fileFormats.map(({ name, formats }) => ({
+        name,
+        formats: Array.from(formats.keys()).map((format) => HISTORY_FORMAT_LABELS[format]),
+      })),
+    };
+  }
+
+  function createQualityTracker(label) {
+    const maxTimestampMs = Date.now() + 86400000;
+    const formats = new Map();
+    const unknownFields = new Map();
+    const missingFields = new Map();
+    let records = 0;
+    let negativeMs = 0;
+    let absurdMs = 0;
+    let invalidMs = 0;
+    let badTimestamps = 0;
+    let outOfRangeTimestamps = 0;
+    let flaggedRecords = 0;
+    let firstMs = null;
+    let lastMs = null;
+
+    return { check, summary };
+
+    function check(item, format, record) {
+      records += 1;
+      incrementCounter(formats, format || "unrecognized");
+      const requiredFields = HISTORY_FORMAT_FIELDS[format];
+      if (!requiredFields) {
+        return;
+      }
+
+      const optionalFields = OPTIONAL_HISTORY_FIELDS[format] || [];
+      for (const field of Object.keys(item)) {
+        if (!requiredFields.includes(field) && !optionalFields.includes(field)) {
+          incrementCounter(unknownFields, field);
+        }
+      }
+      for (const field of requiredFields) {
+        if (!(field in item)) {
+          incrementCounter(missingFields, field);
+        }
+      }
+
+      let flagged = false;
+      const rawMs = format === "extended" ? item.ms_played : item.msPlayed;
+      const numericMs = Number(rawMs);
+      if (rawMs !== undefined && !Number.isFinite(numericMs)) {
+        invalidMs += 1;
+        flagged = true;
+      } else if (numericMs < 0) {
+        negativeMs += 1;
+        flagged = true;
+      } else if (numericMs > MAX_MS_PLAYED) {
+        absurdMs += 1;
+        flagged = true;
+      }
+
+      const timestamp = parseTimestamp(record.ts);
+      const timeMs = timestamp ? timestamp.getTime() : null;
+      if (timeMs === null) {
+        badTimestamps += 1;
+        flagged = true;
+      } else if (timeMs < MIN_VALID_TIMESTAMP_MS || timeMs > maxTimestampMs) {
+        outOfRangeTimestamps += 1;
+        flagged = true;
+      } else {
+        firstMs = firstMs === null ? timeMs : Math.min(firstMs, timeMs);
+        lastMs = lastMs === null ? timeMs : Math.max(lastMs, timeMs);
+      }
+      flaggedRecords += flagged ? 1 : 0;
+    }
+
+    function summary() {
+      const describeCounts = (entries) =>
+        entries
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .map(([field, count]) => `${field} (${formatNumber(count)})`)
+          .join(", ");
+
+      return {
+        file: label,
+        formats: Array.from(formats.keys()).map(
+          (format) => HISTORY_FORMAT_LABELS[format] || "Unrecognized"
+        ),
+        records,
+        firstRecord: firstMs === null ? "" : new Date(firstMs).toISOString(),
+        lastRecord: lastMs === null ? "" : new Date(lastMs).toISOString(),
+        unknownFields: describeCounts(Array.from(unknownFields.entries())),
+        missingFields: describeCounts(Array.from(missingFields.entries())),
+        negativeMs,
+        absurdMs,
+        invalidMs,
+        badTimestamps,
+        outOfRangeTimestamps,
+        flaggedRecords,
+      };
+    }
+  }
+
+  function historyFormat(record, entryName) {
+    if (typeof record.ts === "string" || "ms_played" in record) {
+      return "extended";
+    }
+    if (typeof record.endTime === "string" && "msPlayed" in record) {
+      return "podcastName" in record || "episodeName" in record || /podcast/i.test(entryName)
+        ? "basic-podcast"
+        : "basic-music";
+    }
+    return "";
+  }
+
+  function normalizeBasicRecord(record, format) {
+    const match = BASIC_END_TIME_PATTERN.exec(cleanString(record.endTime));
+    const normalized = {
+      ts: match ? `${match[1]}T${match[2]}:${match[3] || "00"}Z` : record.endTime,
+      ms_played: record.msPlayed,
+    };
+    if (format === "basic-podcast") {
+      normalized.episode_name = record.episodeName ?? record.trackName;
+      normalized.episode_show_name = record.podcastName ?? record.artistName;
+    } else {
+      normalized.master_metadata_track_name = record.trackName;
+      normalized.master_metadata_album_artist_name = record.artistName;
+    }
+    return normalized;
+  }
+
+  function recordIdentityKey(record) {
+    const ts = cleanString(record.ts);
+    if (!ts) {
+      return "";
+    }
+    const uri = cleanString(record.spotify_track_uri) || cleanString(record.spotify_episode_uri);
+    return [
+      ts,
+      uri ||
+        makeSongKey(
+          cleanString(record.master_metadata_track_name) || cleanString(record.episode_name),
+          cleanString(record.master_metadata_album_artist_name) ||
+            cleanString(record.episode_show_name)
+        ),
+      sanitizeMs(record.ms_played),
+      cleanString(record.platform),
+    ].join(KEY_SEP);
+  }
+
+  async function parseZipFile(file, recordReader, hooks) {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const entries = Object.values(zip.files).filter(
+      (entry) => !entry.dir && entry.name.toLowerCase().endsWith(".json")
+    );
+
+    if (!entries.length) {
+      hooks.status(`No JSON files found inside ${file.name}.`, "warn");
+      return { parsedJsonCount: 0, skippedEntries: 1 };
+    }
+
+    let parsedJsonCount = 0;
+    let skippedEntries = 0;
+
+    for (const entry of entries) {
+      throwIfCancelled(hooks);
+      const parser = createJsonArrayParser(
+        `${file.name} -> ${entry.name}`,
+        recordReader(entry.name)
+      );
+      try {
+        await streamZipEntry(entry, parser, hooks);
+        parsedJsonCount += 1;
+        hooks.status(`Parsed ${entry.name} (${formatNumber(parser.count)} records).`);
+      } catch (error) {
+        if (error.cancelled) {
+          throw error;
+        }
+        skippedEntries += 1;
+        hooks.status(partialParseMessage(entry.name, error, parser.count), "warn");
+      }
+    }
+
+    hooks.status(`Parsed ${parsedJsonCount} JSON file(s) from ${file.name}.`);
+    return { parsedJsonCount, skippedEntries };
+  }
+
+  function streamZipEntry(entry, parser, hooks) {
+    return new Promise((resolve, reject) => {
+      const stream = entry.internalStream("string");
+      stream
+        .on("data", (chunk) => {
+          try {
+            throwIfCancelled(hooks);
+            parser.write(chunk);
+          } catch (error) {
+            stream.pause();
+            reject(error);
+            return;
+          }
+          const pendingWrites = hooks.waitForWrites?.();
+          if (pendingWrites) {
+            stream.pause();
+            pendingWrites.then(() => stream.resume(), reject);
+          }
+        })
+        .on("error", reject)
+        .on("end", () => {
+          try {
+            parser.end();
+            resolve();
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .resume();
+    });
+  }
+
+  async function parseJsonBlob(file, parser, hooks) {
+    if (typeof file.stream !== "function") {
+      parser.write(await file.text());
+      parser.end();
+      return;
+    }
+
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder("utf-8");
+    while (true) {
+      throwIfCancelled(hooks);
+      await hooks.waitForWrites?.();
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      parser.write(decoder.decode(value, { stream: true }));
+    }
+    parser.write(decoder.decode());
+    parser.end();
+  }
+
+  function createJsonArrayParser(label, onItem) {
+    let buffer = "";
+    let position = 0;
+    let itemStart = -1;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let started = false;
+    let closed = false;
+    let awaitingItem = false;
+    let count = 0;
+
+    return {
+      write,
+      end,
+      get count() {
+        return count;
+      },
+    };
+
+    function write(chunk) {
+      buffer += chunk;
+      for (; position < buffer.length; position += 1) {
+        const char = buffer[position];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === "\\") {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (!started || closed) {
+          if (isJsonWhitespace(char)) {
+            continue;
+          }
+          if (closed) {
+            throw new Error(`Invalid JSON in ${label}`);
+          }
+          if (char !== "[") {
+            throw new Error(`Expected a JSON array in ${label}`);
+          }
+          started = true;
+          continue;
+        }
+
+        if (depth === 0) {
+          if (char === "," || char === "]") {
+            if (itemStart >= 0) {
+              emit(buffer.slice(itemStart, position));
+              itemStart = -1;
+            } else if (char === "," || awaitingItem) {
+              throw new Error(`Invalid JSON in ${label}`);
+            }
+            awaitingItem = char === ",";
+            closed = char === "]";
+            continue;
+          }
+          if (isJsonWhitespace(char)) {
+            continue;
+          }
+          if (itemStart < 0) {
+            itemStart = position;
+            awaitingItem = false;
+          }
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === "{" || char === "[") {
+          depth += 1;
+        } else if (char === "}" || char === "]") {
+          depth -= 1;
+        }
+      }
+
+      const keepFrom = itemStart >= 0 ? itemStart : position;
+      buffer = buffer.slice(keepFrom);
+      position -= keepFrom;
+      if (itemStart >= 0) {
+        itemStart = 0;
+      }
+    }
+
+    function end() {
+      if (!closed) {
+        throw new Error(started ? `Invalid JSON in ${label}` : `Expected a JSON array in ${label}`);
+      }
+    }
+
+    function emit(text) {
+      let item;
+      try {
+        item = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${label}`);
+      }
+      if (item && typeof item === "object" && !Array.isArray(item)) {
+        count += 1;
+        onItem(item);
+      }
+    }
+  }
+
+  function isJsonWhitespace(char) {
+    return char === " " || char === "\n" || char === "\r" || char === "\t" || char === "\ufeff";
+  }
+
+  function partialParseMessage(name, error, recordsRead) {
+    const message = `Failed to parse ${name}: ${errorMessage(error)}`;
+    return recordsRead > 0
+      ? `${message} (${formatNumber(recordsRead)} records before the error were kept)`
+      : message;
+  }
+
+  function createReportBuilder(options, hooks = SILENT_HOOKS) {
+    const clock = createZonedClock(options.timeZone);
+    const matchesFilters = createRecordFilter(options.filters, clock);
+    const skipThresholdMs = skipThresholdSeconds(options.skipThresholdSeconds) * 1000;
+    const countsAsPlay = createPlayCounter(options.playRule, options.trackLengths);
+    const trackIdentity = trackIdentityMode(options.trackIdentity);
+    const sessionGap = sessionGapMinutes(options.sessionGapMinutes);
+    const songMap = new Map();
+    const artistMap = new Map();
+    const albumMap = new Map();
+    const monthlySongMap = new Map();
+    const monthlyMs = new Map();
+    const yearlyMs = new Map();
+    const hourWeekdayMs = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+    const hourWeekdayPlays = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+    const showMap = new Map();
+    const episodeMap = new Map();
+    const monthlyShowMap = new Map();
+    const dailySongPlays = new Map();
+    const endReasonMap = new Map();
+    const monthlySkips = new Map();
+    const monthlyPlatforms = new Map();
+    const monthlyModes = new Map();
+    const countryMap = new Map();
+    const sessionTracker = createSessionTracker(sessionGap * 60000);
+    const incognitoSessionTracker = createSessionTracker(sessionGap * 60000);
+    const stayTracker = createStayTracker();
+
+    let recordsRead = 0;
+    let ignoredNonSong = 0;
+    let ignoredBadTimestamp = 0;
+    let excludedByFilters = 0;
+    let songRecordsUsed = 0;
+    let podcastRecordsUsed = 0;
+    let audiobookRecordsUsed = 0;
+    let inferredSkips = 0;
+    let offlineSyncDelayMs = 0;
+    let offlineSyncDelayCount = 0;
+
+    return {
+      add: addRecord,
+      finish,
+      get recordsRead() {
+        return recordsRead;
+      },
+    };
+
+    function addRecord(record) {
+      recordsRead += 1;
+      if (recordsRead % PROGRESS_EVERY_RECORDS === 0) {
+        throwIfCancelled(hooks);
+        hooks.status(`Aggregated ${formatNumber(recordsRead)} records...`);
+      }
+
+      if (!matchesFilters(record)) {
+        excludedByFilters += 1;
+        return;
+      }
+
+      const kind = recordKind(record);
+      if (!kind) {
+        ignoredNonSong += 1;
+        return;
+      }
+
+      const timestamp = parseTimestamp(record.ts);
+      if (!timestamp) {
+        ignoredBadTimestamp += 1;
+        return;
+      }
+
+      if (kind !== "song") {
+        const spoken = spokenAudioFields(record, kind);
+        const msPlayed = sanitizeMs(record.ms_played);
+        const finished = cleanString(record.reason_end) === "trackdone";
+        const monthKey = timestampToMonthKey(clock.localDate(timestamp));
+        const showKey = makeSongKey(spoken.type, spoken.show);
+        const episodeKey = `${showKey}${KEY_SEP}${spoken.uri || spoken.episode}`;
+
+        const showEntry = showMap.get(showKey) || {
+          type: spoken.type,
+          show: spoken.show,
+          playCount: 0,
+          totalMs: 0,
+          episodeKeys: new Set(),
+        };
+        showEntry.playCount += 1;
+        showEntry.totalMs += msPlayed;
+        showEntry.episodeKeys.add(episodeKey);
+        showMap.set(showKey, showEntry);
+
+        const episodeEntry = episodeMap.get(episodeKey) || {
+          type: spoken.type,
+          show: spoken.show,
+          showKey,
+          episode: spoken.episode,
+          uri: spoken.uri,
+          playCount: 0,
+          totalMs: 0,
+          finishedMs: 0,
+        };
+        episodeEntry.playCount += 1;
+        episodeEntry.totalMs += msPlayed;
+        if (finished) {
+          episodeEntry.finishedMs = Math.max(episodeEntry.finishedMs, msPlayed);
+        }
+        episodeMap.set(episodeKey, episodeEntry);
+        addPlayEvent(record, timestamp, msPlayed, episodeEntry);
+
+        const monthShows = monthlyShowMap.get(monthKey) || new Map();
+        const monthShowEntry = monthShows.get(showKey) || { playCount: 0, totalMs: 0 };
+        monthShowEntry.playCount += 1;
+        monthShowEntry.totalMs += msPlayed;
+        monthShows.set(showKey, monthShowEntry);
+        monthlyShowMap.set(monthKey, monthShows);
+
+        if (kind === "audiobook") {
+          audiobookRecordsUsed += 1;
+        } else {
+          podcastRecordsUsed += 1;
+        }
+        return;
+      }
+
+      const song = cleanString(record.master_metadata_track_name);
+      const artist = cleanString(record.master_metadata_album_artist_name);
+      const album = cleanString(record.master_metadata_album_album_name);
+      const uri = cleanString(record.spotify_track_uri);
+      const msPlayed = sanitizeMs(record.ms_played);
+      const skipFlagged = typeof record.skipped === "boolean";
+      const skipped = skipFlagged ? record.skipped : msPlayed < skipThresholdMs;
+      const replayed = cleanString(record.reason_start) === "backbtn";
+      const reasonEnd = cleanString(record.reason_end) || "unknown";
+      const incognito = record.incognito_mode === true;
+      const shuffled = record.shuffle === true;
+      const counted = countsAsPlay(record, msPlayed);
+      const songKey = trackIdentityKey(trackIdentity, song, artist, uri);
+      const localDate = clock.localDate(timestamp);
+      const monthKey = timestampToMonthKey(localDate);
+      const yearKey = localDate.getUTCFullYear();
+
+      const songEntry = songMap.get(songKey) || {
+        song,
+        artist,
+        playCount: 0,
+        streamCount: 0,
+        skipCount: 0,
+        totalMs: 0,
+        albumCounter: new Map(),
+        uriCounter: new Map(),
+        variants: new Map(),
+        displayVariant: null,
+        backbtnCount: 0,
+        incognitoPlays: 0,
+        incognitoStreams: 0,
+        incognitoSkips: 0,
+        incognitoMs: 0,
+        firstMs: timestamp.getTime(),
+        lastMs: timestamp.getTime(),
+        playDays: new Map(),
+      };
+      songEntry.playCount += counted ? 1 : 0;
+      songEntry.streamCount += 1;
+      songEntry.skipCount += skipped ? 1 : 0;
+      songEntry.backbtnCount += replayed ? 1 : 0;
+      songEntry.totalMs += msPlayed;
+      addIncognitoCounts(songEntry, incognito, counted, skipped, msPlayed);
+      songEntry.firstMs = Math.min(songEntry.firstMs, timestamp.getTime());
+      songEntry.lastMs = Math.max(songEntry.lastMs, timestamp.getTime());
+      incrementCounter(songEntry.albumCounter, album);
+      incrementCounter(songEntry.uriCounter, uri);
+      addTrackVariant(songEntry, song, artist, uri, counted, msPlayed, timestamp.getTime());
+      addPlayDay(songEntry, timestamp.getTime() - msPlayed, timestamp.getTime());
+      songMap.set(songKey, songEntry);
+      addPlayEvent(record, timestamp, msPlayed, songEntry);
+
+      const artistEntry = artistMap.get(artist) || {
+        artist,
+        playCount: 0,
+        streamCount: 0,
+        skipCount: 0,
+        totalMs: 0,
+        songKeys: new Set(),
+        monthMs: new Map(),
+        shufflePlays: 0,
+        incognitoPlays: 0,
+        incognitoStreams: 0,
+        incognitoSkips: 0,
+        incognitoMs: 0,
+        firstMs: timestamp.getTime(),
+        lastMs: timestamp.getTime(),
+      };
+      artistEntry.playCount += counted ? 1 : 0;
+      artistEntry.streamCount += 1;
+      artistEntry.skipCount += skipped ? 1 : 0;
+      artistEntry.totalMs += msPlayed;
+      artistEntry.shufflePlays += shuffled ? 1 : 0;
+      addIncognitoCounts(artistEntry, incognito, counted, skipped, msPlayed);
+      artistEntry.songKeys.add(songKey);
+      artistEntry.monthMs.set(monthKey, (artistEntry.monthMs.get(monthKey) || 0) + msPlayed);
+      artistEntry.firstMs = Math.min(artistEntry.firstMs, timestamp.getTime());
+      artistEntry.lastMs = Math.max(artistEntry.lastMs, timestamp.getTime());
+      artistMap.set(artist, artistEntry);
+
+      if (album) {
+        const albumKey = makeSongKey(album, artist);
+        const albumEntry = albumMap.get(albumKey) || {
+          album,
+          artist,
+          playCount: 0,
+          streamCount: 0,
+          skipCount: 0,
+          totalMs: 0,
+          songKeys: new Set(),
+          incognitoPlays: 0,
+          incognitoStreams: 0,
+          incognitoSkips: 0,
+          incognitoMs: 0,
+          firstMs: timestamp.getTime(),
+          lastMs: timestamp.getTime(),
+        };
+        albumEntry.playCount += counted ? 1 : 0;
+        albumEntry.streamCount += 1;
+        albumEntry.skipCount += skipped ? 1 : 0;
+        albumEntry.totalMs += msPlayed;
+        addIncognitoCounts(albumEntry, incognito, counted, skipped, msPlayed);
+        albumEntry.songKeys.add(songKey);
+        albumEntry.firstMs = Math.min(albumEntry.firstMs, timestamp.getTime());
+        albumEntry.lastMs = Math.max(albumEntry.lastMs, timestamp.getTime());
+        albumMap.set(albumKey, albumEntry);
+      }
+
+      const monthSongs = monthlySongMap.get(monthKey) || new Map();
+      const monthSongEntry = monthSongs.get(songKey) || {
+        playCount: 0,
+        streamCount: 0,
+        skipCount: 0,
+        totalMs: 0,
+        incognitoPlays: 0,
+        incognitoStreams: 0,
+        incognitoSkips: 0,
+        incognitoMs: 0,
+      };
+      monthSongEntry.playCount += counted ? 1 : 0;
+      monthSongEntry.streamCount += 1;
+      monthSongEntry.skipCount += skipped ? 1 : 0;
+      monthSongEntry.totalMs += msPlayed;
+      addIncognitoCounts(monthSongEntry, incognito, counted, skipped, msPlayed);
+      monthSongs.set(songKey, monthSongEntry);
+      monthlySongMap.set(monthKey, monthSongs);
+
+      if (counted) {
+        const dayKey = timestampToDayKey(localDate);
+        const daySongs = dailySongPlays.get(dayKey) || new Map();
+        daySongs.set(songEntry, (daySongs.get(songEntry) || 0) + 1);
+        dailySongPlays.set(dayKey, daySongs);
+      }
+
+      const endReasonEntry = endReasonMap.get(reasonEnd) || {
+        reason: reasonEnd,
+        playCount: 0,
+        skipCount: 0,
+        totalMs: 0,
+      };
+      endReasonEntry.playCount += 1;
+      endReasonEntry.skipCount += skipped ? 1 : 0;
+      endReasonEntry.totalMs += msPlayed;
+      endReasonMap.set(reasonEnd, endReasonEntry);
+
+      const country = countryCode(record.conn_country);
+      const countryEntry = countryMap.get(country) || {
+        country,
+        playCount: 0,
+        totalMs: 0,
+        songCounts: new Map(),
+        firstMs: timestamp.getTime(),
+        lastMs: timestamp.getTime(),
+      };
+      countryEntry.playCount += 1;
+      countryEntry.totalMs += msPlayed;
+      incrementCounter(countryEntry.songCounts, songEntry);
+      countryEntry.firstMs = Math.min(countryEntry.firstMs, timestamp.getTime());
+      countryEntry.lastMs = Math.max(countryEntry.lastMs, timestamp.getTime());
+      countryMap.set(country, countryEntry);
+
+      const platform = cleanString(record.platform) || "Unknown";
+      const monthPlatforms = monthlyPlatforms.get(monthKey) || new Map();
+      const monthPlatformEntry = monthPlatforms.get(platform) || { playCount: 0, totalMs: 0 };
+      monthPlatformEntry.playCount += 1;
+      monthPlatformEntry.totalMs += msPlayed;
+      monthPlatforms.set(platform, monthPlatformEntry);
+      monthlyPlatforms.set(monthKey, monthPlatforms);
+
+      const monthModes = monthlyModes.get(monthKey) || {
+        playCount: 0,
+        shufflePlays: 0,
+        offlinePlays: 0,
+        offlineMs: 0,
+        incognitoPlays: 0,
+        incognitoMs: 0,
+      };
+      monthModes.playCount += 1;
+      monthModes.shufflePlays += shuffled ? 1 : 0;
+      monthModes.incognitoPlays += incognito ? 1 : 0;
+      monthModes.incognitoMs += incognito ? msPlayed : 0;
+      if (record.offline === true) {
+        monthModes.offlinePlays += 1;
+        monthModes.offlineMs += msPlayed;
+        const offlineMs = offlineTimestampMs(record.offline_timestamp);
+        if (offlineMs !== null && offlineMs <= timestamp.getTime()) {
+          offlineSyncDelayMs += timestamp.getTime() - offlineMs;
+          offlineSyncDelayCount += 1;
+        }
+      }
+      monthlyModes.set(monthKey, monthModes);
+
+      const monthSkipEntry = monthlySkips.get(monthKey) || { playCount: 0, skipCount: 0 };
+      monthSkipEntry.playCount += 1;
+      monthSkipEntry.skipCount += skipped ? 1 : 0;
+      monthlySkips.set(monthKey, monthSkipEntry);
+      if (skipped && !skipFlagged) {
+        inferredSkips += 1;
+      }
+
+      monthlyMs.set(monthKey, (monthlyMs.get(monthKey) || 0) + msPlayed);
+      yearlyMs.set(yearKey, (yearlyMs.get(yearKey) || 0) + msPlayed);
+
+      const weekdayIndex = localWeekdayIndex(localDate);
+      hourWeekdayMs[weekdayIndex][localDate.getUTCHours()] += msPlayed;
+      hourWeekdayPlays[weekdayIndex][localDate.getUTCHours()] += 1;
+
+      songRecordsUsed += 1;
+    }
+
+    function addPlayEvent(record, timestamp, msPlayed, entry) {
+      const play = {
+        startMs: timestamp.getTime() - msPlayed,
+        endMs: timestamp.getTime(),
+        msPlayed,
+        platform: cleanString(record.platform) || "Unknown",
+        entry,
+      };
+      sessionTracker.add(play);
+      if (record.incognito_mode === true) {
+        incognitoSessionTracker.add(play);
+      }
+      stayTracker.add(countryCode(record.conn_country), play);
+    }
+
+    function finish(parsedInputMeta) {
+      const excludeIncognito = Boolean(options.excludeIncognitoFromTops);
+      const rankingRows = (rows, entries, toRow) =>
+        excludeIncognito
+          ? entries
+              .map((entry) => toRow(entry, withoutIncognito(entry)))
+              .filter((row) => row.streamCount > 0)
+          : rows;
+
+      const toSongRow = (entry, counts) => {
+        const album = mostCommonCounterKey(entry.albumCounter);
+        const uri = mostCommonCounterKey(entry.uriCounter);
+        const totalMinutes = counts.totalMs / 60000;
+        return {
+          song: entry.song,
+          artist: entry.artist,
+          album,
+          uri,
+          playCount: counts.playCount,
+          streamCount: counts.streamCount,
+          skipCount: counts.skipCount,
+          skipRate: counts.streamCount ? counts.skipCount / counts.streamCount : 0,
+          totalMs: counts.totalMs,
+          totalMinutes,
+          totalHours: totalMinutes / 60,
+          incognitoPlays: entry.incognitoPlays,
+          backbtnCount: entry.backbtnCount,
+          firstPlayed: formatZonedDateTime(new Date(entry.firstMs), clock),
+          lastPlayed: formatZonedDateTime(new Date(entry.lastMs), clock),
+        };
+      };
+      const songEntries = Array.from(songMap.values());
+      const songRows = songEntries.map((entry) => toSongRow(entry, entry));
+
+      songRows.sort((a, b) => compareSongsByPlayCount(a, b));
+
+      const rankedSongRows = rankingRows(songRows, songEntries, toSongRow);
+      const top10ByPlayCount = [...rankedSongRows].sort(compareSongsByPlayCount).slice(0, 10);
+      const top10ByTime = [...rankedSongRows].sort(compareSongsByListenTime).slice(0, 10);
+      const top10Skipped = rankedSongRows
+        .filter((row) => row.skipCount > 0)
+        .sort(compareSongsBySkipCount)
+        .slice(0, 10);
+
+      const top3PerMonthRows = [];
+      const topSongsByMonth = new Map();
+      const sortedMonths = Array.from(monthlySongMap.keys()).sort((a, b) => a.localeCompare(b));
+      for (const month of sortedMonths) {
+        const monthSongs = monthlySongMap.get(month);
+        if (!monthSongs) {
+          continue;
+        }
+
+        const ranked = Array.from(monthSongs.entries())
+          .map(([songKey, monthEntry]) => [
+            songMap.get(songKey),
+            excludeIncognito ? withoutIncognito(monthEntry) : monthEntry,
+          ])
+          .filter(([, monthEntry]) => monthEntry.playCount > 0)
+          .sort((a, b) => compareMonthlySongRank(a, b))
+          .slice(0, 10)
+          .map(([songEntry, monthEntry], index) => {
+            return {
+              month,
+              monthLabel: formatMonthLabel(month),
+              rank: index + 1,
+              song: songEntry.song,
+              artist: songEntry.artist,
+              playCount: monthEntry.playCount,
+              minutesListened: monthEntry.totalMs / 60000,
+            };
+          });
+
+        topSongsByMonth.set(month, ranked);
+        top3PerMonthRows.push(...ranked.slice(0, 3));
+      }
+
+      const monthlyMinutesRows = Array.from(monthlyMs.entries())
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([month, totalMs]) => ({
+          month,
+          monthLabel: formatMonthLabel(month),
+          totalMs,
+          minutes: totalMs / 60000,
+          hours: totalMs / 3600000,
+        }));
+
+      const yearlyMinutesRows = Array.from(yearlyMs.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([year, totalMs]) => ({
+          year,
+          totalMs,
+          minutes: totalMs / 60000,
+          hours: totalMs / 3600000,
+        }));
+
+      const peakMonth = pickPeak(monthlyMinutesRows, (row) => row.totalMs, (row) => row.month);
+      const peakYear = pickPeak(yearlyMinutesRows, (row) => row.totalMs, (row) => String(row.year));
+
+      const toArtistRow = (entry, counts) => {
+        const peak = pickPeak(
+          Array.from(entry.monthMs.entries()).map(([month, totalMs]) => ({
+            month,
+            monthLabel: formatMonthLabel(month),
+            totalMs,
+            minutes: totalMs / 60000,
+          })),
+          (row) => row.totalMs,
+          (row) => row.month
+        );
+        return {
+          artist: entry.artist,
+          playCount: counts.playCount,
+          streamCount: counts.streamCount,
+          skipCount: counts.skipCount,
+          skipRate: counts.streamCount ? counts.skipCount / counts.streamCount : 0,
+          uniqueSongs: entry.songKeys.size,
+          totalMs: counts.totalMs,
+          totalMinutes: counts.totalMs / 60000,
+          totalHours: counts.totalMs / 3600000,
+          shufflePlays: entry.shufflePlays,
+          shuffleShare: entry.streamCount ? entry.shufflePlays / entry.streamCount : 0,
+          incognitoPlays: entry.incognitoPlays,
+          firstListen: formatZonedDateTime(new Date(entry.firstMs), clock),
+          lastListen: formatZonedDateTime(new Date(entry.lastMs), clock),
+          peakMonth: peak,
+        };
+      };
+      const artistEntries = Array.from(artistMap.values());
+      const artistRows = artistEntries
+        .map((entry) => toArtistRow(entry, entry))
+        .sort((a, b) => compareArtistsByTime(a, b));
+
+      const rankedArtistRows = rankingRows(artistRows, artistEntries, toArtistRow);
+      const topArtistsByMinutes = [...rankedArtistRows].sort(compareArtistsByTime).slice(0, 10);
+      const top10ArtistsByPlays = [...rankedArtistRows].sort(compareArtistsByPlayCount).slice(0, 10);
+
+      const toAlbumRow = (entry, counts) => ({
+        album: entry.album,
+        artist: entry.artist,
+        playCount: counts.playCount,
+        streamCount: counts.streamCount,
+        skipCount: counts.skipCount,
+        skipRate: counts.streamCount ? counts.skipCount / counts.streamCount : 0,
+        uniqueTracks: entry.songKeys.size,
+        totalMs: counts.totalMs,
+        totalMinutes: counts.totalMs / 60000,
+        totalHours: counts.totalMs / 3600000,
+        firstPlayed: formatZonedDateTime(new Date(entry.firstMs), clock),
+        lastPlayed: formatZonedDateTime(new Date(entry.lastMs), clock),
+      });
+      const albumEntries = Array.from(albumMap.values());
+      const albumRows = albumEntries.map((entry) => toAlbumRow(entry, entry)).sort(compareAlbumsByTime);
+      const top10Albums = [...rankingRows(albumRows, albumEntries, toAlbumRow)]
+        .sort(compareAlbumsByTime)
+        .slice(0, 10);
+
+      const totalSongMs = songRows.reduce((sum, row) => sum + row.totalMs, 0);
+      const mostLoopedDay = findMostLoopedDay(dailySongPlays);
+      const streakReport = summarizeStreaks(dailySongPlays, options.bingeThreshold);
+      const skipReport = summarizeSkips(songRows, endReasonMap, monthlySkips, songRecordsUsed);
+      const deviceReport = summarizeDevices(monthlyPlatforms);
+      const podcastReport = summarizeSpokenAudio(showMap, episodeMap, monthlyShowMap);
+      const sessionReport = summarizeSessions(sessionTracker.finish(), sessionGap, clock);
+      const discoveryReport = summarizeDiscovery(songMap, artistMap, monthlySongMap, clock);
+      const countryReport = summarizeCountries(countryMap, stayTracker.finish(), totalSongMs, clock);
+      const playbackModeReport = summarizePlaybackModes(
+        monthlyModes,
+        incognitoSessionTracker.finish(),
+        clock
+      );
+      const heatmapReport = summarizeHourWeekday(hourWeekdayMs, hourWeekdayPlays);
+
+      const dataRange = monthlyMinutesRows.length
+        ? `${monthlyMinutesRows[0].monthLabel} - ${
+            monthlyMinutesRows[monthlyMinutesRows.length - 1].monthLabel
+          }`
+        : "N/A";
+
+      return {
+        parsedInputMeta,
+        timeZone: clock.timeZone,
+        activeFilters: describeFilters(options.filters),
+        totalRecordsRead: recordsRead,
+        excludedByFilters,
+        songRecordsUsed,
+        ignoredNonSong,
+        ignoredBadTimestamp,
+        uniqueSongs: songRows.length,
+        totalSongMs,
+        totalMinutes: totalSongMs / 60000,
+        totalHours: totalSongMs / 3600000,
+        peakMonth,
+        peakYear,
+        dataRange,
+        songRows,
+        top10ByPlayCount,
+        top10ByTime,
+        top10Skipped,
+        top3PerMonthRows,
+        topSongsByMonth,
+        monthlyMinutesRows,
+        yearlyMinutesRows,
+        topArtistsByMinutes,
+        top10ArtistsByPlays,
+        artistRows,
+        uniqueArtists: artistRows.length,
+        albumRows,
+        top10Albums,
+        uniqueAlbums: albumRows.length,
+        mostLoopedDay,
+        podcastRecordsUsed,
+        audiobookRecordsUsed,
+        ...podcastReport,
+        ...sessionReport,
+        ...discoveryReport,
+        ...streakReport,
+        skipThresholdSeconds: skipThresholdMs / 1000,
+        inferredSkips,
+        ...skipReport,
+        ...deviceReport,
+        ...countryReport,
+        ...playbackModeReport,
+        excludeIncognitoFromTops: excludeIncognito,
+        playRule: describePlayRule(options.playRule),
+        countedPlays: songRows.reduce((sum, row) => sum + row.playCount, 0),
+        trackIdentity: describeTrackIdentity(trackIdentity),
+        ...summarizeMergedVariants(songEntries),
+        averageOfflineSyncHours: offlineSyncDelayCount
+          ? offlineSyncDelayMs / offlineSyncDelayCount / 3600000
+          : null,
+        ...heatmapReport,
+      };
+    }
+  }
+
+  function buildComparison(reportA, reportB, periodA, periodB) {
+    const metricRows = [
+      ["Minutes Listened", reportA.totalMinutes, reportB.totalMinutes],
+      ["Song Plays", reportA.countedPlays, reportB.countedPlays],
+      ["Unique Songs", reportA.uniqueSongs, reportB.uniqueSongs],
+      ["Unique Artists", reportA.uniqueArtists, reportB.uniqueArtists],
+      ["Unique Albums", reportA.uniqueAlbums, reportB.uniqueAlbums],
+      ["Skip Rate", reportA.overallSkipRate, reportB.overallSkipRate],
+    ].map(([metric, valueA, valueB]) => ({
+      metric,
+      valueA,
+      valueB,
+      change: valueB - valueA,
+      changeRatio: valueA ? valueB / valueA - 1 : null,
+    }));
+
+    const songMovers = rankMovers(
+      reportA.songRows,
+      reportB.songRows,
+      (row) => makeSongKey(row.song, row.artist),
+      (row) => ({ song: row.song, artist: row.artist })
+    );
+    const artistMovers = rankMovers(
+      reportA.artistRows,
+      reportB.artistRows,
+      (row) => row.artist,
+      (row) => ({ artist: row.artist })
+    );
+
+    const minutesA = new Map(reportA.artistRows.map((row) => [row.artist, row.totalMinutes]));
+    const minutesB = new Map(reportB.artistRows.map((row) => [row.artist, row.totalMinutes]));
+    const newArtistRows = reportB.artistRows.filter((row) => !minutesA.has(row.artist));
+    const goneArtistRows = reportA.artistRows.filter((row) => !minutesB.has(row.artist));
+    const topArtistRows = Array.from(
+      new Set([
+        ...reportA.artistRows.slice(0, 5).map((row) => row.artist),
+        ...reportB.artistRows.slice(0, 5).map((row) => row.artist),
+      ])
+    )
+      .map((artist) => ({
+        artist,
+        minutesA: minutesA.get(artist) || 0,
+        minutesB: minutesB.get(artist) || 0,
+      }))
+      .sort((a, b) => b.minutesA + b.minutesB - (a.minutesA + a.minutesB) || a.artist.localeCompare(b.artist));
+
+    return {
+      periodA,
+      periodB,
+      metricRows,
+      topArtistRows,
+      risingSongs: songMovers.rising,
+      fallingSongs: songMovers.falling,
+      risingArtists: artistMovers.rising,
+      fallingArtists: artistMovers.falling,
+      newArtistRows,
+      goneArtistRows,
+    };
+  }
+
+  function rankMovers(rowsA, rowsB, keyOf, describe) {
+    const ranksA = new Map(rowsA.map((row, index) => [keyOf(row), index + 1]));
+    const moved = [];
+    rowsB.forEach((row, index) => {
+      const rankA = ranksA.get(keyOf(row));
+      const rankB = index + 1;
+      if (!rankA || (rankA > COMPARISON_RANK_POOL && rankB > COMPARISON_RANK_POOL)) {
+        return;
+      }
+      if (rankA !== rankB) {
+        moved.push({ ...describe(row), rankA, rankB, rankChange: rankA - rankB });
+      }
+    });
+
+    return {
+      rising: moved
+        .filter((row) => row.rankChange > 0)
+        .sort((a, b) => b.rankChange - a.rankChange || a.rankB - b.rankB)
+        .slice(0, 10),
+      falling: moved
+        .filter((row) => row.rankChange < 0)
+        .sort((a, b) => a.rankChange - b.rankChange || a.rankA - b.rankA)
+        .slice(0, 10),
+    };
+  }
+
+  function findMostLoopedDay(dailySongPlays) {
+    let best = null;
+    for (const [day, daySongs] of dailySongPlays.entries()) {
+      for (const [songEntry, playCount] of daySongs.entries()) {
+        if (
+          !best ||
+          playCount > best.playCount ||
+          (playCount === best.playCount && day < best.day)
+        ) {
+          best = { day, songEntry, playCount };
+        }
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const { song, artist } = best.songEntry;
+    return { day: best.day, song, artist, playCount: best.playCount };
+  }
+
+  function summarizeStreaks(dailySongPlays, bingeThreshold) {
+    const threshold =
+      Number.isFinite(bingeThreshold) && bingeThreshold >= 2
+        ? Math.round(bingeThreshold)
+        : DEFAULT_BINGE_PLAYS;
+    const days = Array.from(dailySongPlays.keys()).sort((a, b) => a.localeCompare(b));
+    const songStreaks = new Map();
+    const artistStreaks = new Map();
+    const overall = createStreakTracker();
+    const bingeDayRows = [];
+
+    for (const day of days) {
+      const dayNumber = dayKeyToNumber(day);
+      const daySongs = dailySongPlays.get(day);
+      const dayArtists = new Set();
+      overall.add(day, dayNumber);
+
+      for (const [songEntry, playCount] of daySongs.entries()) {
+        const tracker = songStreaks.get(songEntry) || createStreakTracker();
+        tracker.add(day, dayNumber);
+        songStreaks.set(songEntry, tracker);
+
+        const { song, artist } = songEntry;
+        dayArtists.add(artist);
+        if (playCount >= threshold) {
+          bingeDayRows.push({ day, song, artist, playCount });
+        }
+      }
+
+      for (const artist of dayArtists) {
+        const tracker = artistStreaks.get(artist) || createStreakTracker();
+        tracker.add(day, dayNumber);
+        artistStreaks.set(artist, tracker);
+      }
+    }
+
+    const songStreakRows = Array.from(songStreaks.entries())
+      .filter(([, tracker]) => tracker.best.days >= 2)
+      .map(([songEntry, tracker]) => ({
+        song: songEntry.song,
+        artist: songEntry.artist,
+        ...tracker.best,
+      }))
+      .sort(
+        (a, b) => b.days - a.days || a.start.localeCompare(b.start) || a.song.localeCompare(b.song)
+      );
+    const artistStreakRows = Array.from(artistStreaks.entries())
+      .filter(([, tracker]) => tracker.best.days >= 2)
+      .map(([artist, tracker]) => ({ artist, ...tracker.best }))
+      .sort(
+        (a, b) =>
+          b.days - a.days || a.start.localeCompare(b.start) || a.artist.localeCompare(b.artist)
+      );
+    bingeDayRows.sort(
+      (a, b) => b.playCount - a.playCount || a.day.localeCompare(b.day) || a.song.localeCompare(b.song)
+    );
+
+    return {
+      bingeThreshold: threshold,
+      longestListeningStreak: overall.best.days ? overall.best : null,
+      songStreakRows,
+      artistStreakRows,
+      bingeDayRows,
+    };
+  }
+
+  function summarizeMergedVariants(songEntries) {
+    const mergedEntries = songEntries
+      .filter((entry) => entry.variants.size > 1)
+      .sort(compareSongsByPlayCount);
+    const mergedVariantRows = [];
+    for (const entry of mergedEntries) {
+      const variants = Array.from(entry.variants.values()).sort(compareTrackVariants);
+      for (const variant of variants) {
+        mergedVariantRows.push({
+          song: entry.song,
+          artist: entry.artist,
+          variantSong: variant.song,
+          variantArtist: variant.artist,
+          variantUri: variant.uri,
+          playCount: variant.playCount,
+          streamCount: variant.streamCount,
+          totalMinutes: variant.totalMs / 60000,
+        });
+      }
+    }
+
+    return {
+      mergedTrackCount: mergedEntries.length,
+      mergedVariantRows,
+    };
+  }
+
+  function summarizeSkips(songRows, endReasonMap, monthlySkips, songRecordsUsed) {
+    const totalSkips = songRows.reduce((sum, row) => sum + row.skipCount, 0);
+    const endReasonRows = Array.from(endReasonMap.values())
+      .map((entry) => ({
+        reason: entry.reason,
+        playCount: entry.playCount,
+        share: songRecordsUsed ? entry.playCount / songRecordsUsed : 0,
+        skipCount: entry.skipCount,
+        totalMinutes: entry.totalMs / 60000,
+      }))
+      .sort((a, b) => b.playCount - a.playCount || a.reason.localeCompare(b.reason));
+
+    const monthlySkipRows = Array.from(monthlySkips.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([month, entry]) => ({
+        month,
+        monthLabel: formatMonthLabel(month),
+        playCount: entry.playCount,
+        skipCount: entry.skipCount,
+        skipRate: entry.playCount ? entry.skipCount / entry.playCount : 0,
+      }));
+
+    const backbtnRows = songRows
+      .filter((row) => row.backbtnCount > 0)
+      .sort(
+        (a, b) =>
+          b.backbtnCount - a.backbtnCount ||
+          b.playCount - a.playCount ||
+          a.song.localeCompare(b.song)
+      );
+
+    return {
+      totalSkips,
+      overallSkipRate: songRecordsUsed ? totalSkips / songRecordsUsed : 0,
+      endReasonRows,
+      monthlySkipRows,
+      backbtnRows,
+    };
+  }
+
+  function summarizeDevices(monthlyPlatforms) {
+    const months = Array.from(monthlyPlatforms.keys()).sort((a, b) => a.localeCompare(b));
+    const platformTotals = new Map();
+    const familyTotals = new Map(DEVICE_FAMILIES.map((family) => [family, { playCount: 0, totalMs: 0 }]));
+    const platformMonthlyRows = [];
+    const deviceFamilyMonthlyRows = [];
+    let totalMs = 0;
+
+    for (const month of months) {
+      const familyMs = new Map(DEVICE_FAMILIES.map((family) => [family, 0]));
+      const monthEntries = Array.from(monthlyPlatforms.get(month).entries()).sort(
+        (a, b) => b[1].totalMs - a[1].totalMs || a[0].localeCompare(b[0])
+      );
+
+      for (const [platform, entry] of monthEntries) {
+        const family = deviceFamily(platform);
+        const total = platformTotals.get(platform) || {
+          platform,
+          family,
+          playCount: 0,
+          totalMs: 0,
+          firstMonth: month,
+          lastMonth: month,
+        };
+        total.playCount += entry.playCount;
+        total.totalMs += entry.totalMs;
+        total.lastMonth = month;
+        platformTotals.set(platform, total);
+
+        const familyTotal = familyTotals.get(family);
+        familyTotal.playCount += entry.playCount;
+        familyTotal.totalMs += entry.totalMs;
+        familyMs.set(family, familyMs.get(family) + entry.totalMs);
+        totalMs += entry.totalMs;
+
+        platformMonthlyRows.push({
+          month,
+          platform,
+          family,
+          playCount: entry.playCount,
+          minutes: entry.totalMs / 60000,
+        });
+      }
+
+      deviceFamilyMonthlyRows.push({
+        month,
+        monthLabel: formatMonthLabel(month),
+        minutesByFamily: DEVICE_FAMILIES.map((family) => familyMs.get(family) / 60000),
+      });
+    }
+
+    const deviceFamilyRows = DEVICE_FAMILIES.map((family) => {
+      const entry = familyTotals.get(family);
+      return {
+        family,
+        playCount: entry.playCount,
+        totalMinutes: entry.totalMs / 60000,
+        share: totalMs ? entry.totalMs / totalMs : 0,
+      };
+    }).filter((row) => row.playCount > 0);
+
+    const platformRows = Array.from(platformTotals.values())
+      .map((entry) => ({
+        platform: entry.platform,
+        family: entry.family,
+        playCount: entry.playCount,
+        totalMinutes: entry.totalMs / 60000,
+        share: totalMs ? entry.totalMs / totalMs : 0,
+        firstMonth: entry.firstMonth,
+        lastMonth: entry.lastMonth,
+      }))
+      .sort((a, b) => b.totalMinutes - a.totalMinutes || a.platform.localeCompare(b.platform));
+
+    return {
+      deviceFamilies: DEVICE_FAMILIES,
+      deviceFamilyRows,
+      deviceFamilyMonthlyRows,
+      platformRows,
+      platformMonthlyRows,
+    };
+  }
+
+  function summarizeCountries(countryMap, stays, totalSongMs, clock) {
+    const countryRows = Array.from(countryMap.values())
+      .map((entry) => ({
+        country: entry.country,
+        countryName: countryName(entry.country),
+        playCount: entry.playCount,
+        totalMinutes: entry.totalMs / 60000,
+        share: totalSongMs ? entry.totalMs / totalSongMs : 0,
+        firstPlayed: formatZonedDateTime(new Date(entry.firstMs), clock),
+        lastPlayed: formatZonedDateTime(new Date(entry.lastMs), clock),
+        topSongs: Array.from(entry.songCounts.entries())
+          .sort((a, b) => b[1] - a[1] || a[0].song.localeCompare(b[0].song))
+          .slice(0, 3)
+          .map(([songEntry, playCount]) => ({
+            song: songEntry.song,
+            artist: songEntry.artist,
+            playCount,
+          })),
+      }))
+      .sort((a, b) => b.totalMinutes - a.totalMinutes || a.country.localeCompare(b.country));
+
+    const travelTimelineRows = stays.map((stay, index) => ({
+      country: stay.country,
+      countryName: countryName(stay.country),
+      previousCountry: index ? stays[index - 1].country : "",
+      from: formatZonedDateTime(new Date(stay.startMs), clock),
+      to: formatZonedDateTime(new Date(stay.endMs), clock),
+      days: (stay.endMs - stay.startMs) / 86400000,
+      playCount: stay.playCount,
+      minutes: stay.totalMs / 60000,
+    }));
+
+    return {
+      countryRows,
+      uniqueCountries: countryRows.filter((row) => row.country !== "Unknown").length,
+      travelTimelineRows,
+      countryChanges: Math.max(0, travelTimelineRows.length - 1),
+    };
+  }
+
+  function summarizePlaybackModes(monthlyModes, incognitoSessions, clock) {
+    const playbackModeMonthlyRows = Array.from(monthlyModes.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([month, entry]) => ({
+        month,
+        monthLabel: formatMonthLabel(month),
+        playCount: entry.playCount,
+        shufflePlays: entry.shufflePlays,
+        shuffleShare: entry.playCount ? entry.shufflePlays / entry.playCount : 0,
+        intentionalShare: entry.playCount ? 1 - entry.shufflePlays / entry.playCount : 0,
+        offlinePlays: entry.offlinePlays,
+        offlineMinutes: entry.offlineMs / 60000,
+        incognitoPlays: entry.incognitoPlays,
+        incognitoMinutes: entry.incognitoMs / 60000,
+      }));
+    const sum = (field) => playbackModeMonthlyRows.reduce((total, row) => total + row[field], 0);
+    const playCount = sum("playCount");
+
+    return {
+      playbackModeMonthlyRows,
+      shufflePlays: sum("shufflePlays"),
+      shuffleShare: playCount ? sum("shufflePlays") / playCount : 0,
+      offlinePlays: sum("offlinePlays"),
+      offlineMinutes: sum("offlineMinutes"),
+      incognitoPlays: sum("incognitoPlays"),
+      incognitoMinutes: sum("incognitoMinutes"),
+      incognitoSessionRows: incognitoSessions.map((session) => ({
+        start: formatZonedDateTime(new Date(session.startMs), clock),
+        end: formatZonedDateTime(new Date(session.endMs), clock),
+        durationMinutes: (session.endMs - session.startMs) / 60000,
+        listenedMinutes: session.listenedMs / 60000,
+        trackCount: session.plays.length,
+      })),
+    };
+  }
+
+  function countryCode(value) {
+    return cleanString(value).toUpperCase() || "Unknown";
+  }
+
+  function countryName(code) {
+    if (!REGION_NAMES || !/^[A-Z]{2}$/.test(code)) {
+      return code;
+    }
+    try {
+      return REGION_NAMES.of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  function deviceFamily(platform) {
+    const value = platform.toLowerCase();
+    const match = DEVICE_FAMILY_PATTERNS.find(([, pattern]) => pattern.test(value));
+    return match ? match[0] : "Other";
+  }
+
+  function createStreakTracker() {
+    const best = { days: 0, start: "", end: "" };
+    let currentStart = "";
+    let lastDayNumber = null;
+    let length = 0;
+
+    return { best, add };
+
+    function add(day, dayNumber) {
+      if (lastDayNumber !== null && dayNumber === lastDayNumber + 1) {
+        length += 1;
+      } else {
+        currentStart = day;
+        length = 1;
+      }
+      lastDayNumber = dayNumber;
+      if (length > best.days) {
+        best.days = length;
+        best.start = currentStart;
+        best.end = day;
+      }
+    }
+  }
+
+  function createSessionTracker(gapMs) {
+    const sessions = [];
+    let current = null;
+
+    return { add, finish };
+
+    function add(play) {
+      if (!current || play.startMs - current.endMs > gapMs || current.startMs - play.endMs > gapMs) {
+        current = {
+          startMs: play.startMs,
+          endMs: play.endMs,
+          listenedMs: 0,
+          platformCounter: new Map(),
+          plays: [],
+        };
+        sessions.push(current);
+      }
+      current.startMs = Math.min(current.startMs, play.startMs);
+      current.endMs = Math.max(current.endMs, play.endMs);
+      current.listenedMs += play.msPlayed;
+      incrementCounter(current.platformCounter, play.platform);
+      current.plays.push(play);
+    }
+
+    function finish() {
+      const merged = [];
+      for (const session of sessions.sort((a, b) => a.startMs - b.startMs)) {
+        const previous = merged[merged.length - 1];
+        if (!previous || session.startMs - previous.endMs > gapMs) {
+          merged.push(session);
+          continue;
+        }
+        previous.endMs = Math.max(previous.endMs, session.endMs);
+        previous.listenedMs += session.listenedMs;
+        for (const [platform, count] of session.platformCounter) {
+          const previousCount = previous.platformCounter.get(platform) || 0;
+          previous.platformCounter.set(platform, previousCount + count);
+        }
+        previous.plays = previous.plays.concat(session.plays);
+      }
+      return merged;
+    }
+  }
+
+  function createStayTracker() {
+    const hourlyStays = new Map();
+
+    return { add, finish };
+
+    function add(country, play) {
+      if (country === "Unknown") {
+        return;
+      }
+      const hourKey = `${Math.floor(play.startMs / 3600000)}${KEY_SEP}${country}`;
+      const stay = hourlyStays.get(hourKey) || {
+        country,
+        startMs: play.startMs,
+        endMs: play.endMs,
+        playCount: 0,
+        totalMs: 0,
+      };
+      stay.startMs = Math.min(stay.startMs, play.startMs);
+      stay.endMs = Math.max(stay.endMs, play.endMs);
+      stay.playCount += 1;
+      stay.totalMs += play.msPlayed;
+      hourlyStays.set(hourKey, stay);
+    }
+
+    function finish() {
+      const merged = [];
+      const stays = Array.from(hourlyStays.values()).sort(
+        (a, b) => a.startMs - b.startMs || a.endMs - b.endMs
+      );
+      for (const stay of stays) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.country === stay.country) {
+          previous.endMs = Math.max(previous.endMs, stay.endMs);
+          previous.playCount += stay.playCount;
+          previous.totalMs += stay.totalMs;
+        } else {
+          merged.push(stay);
+        }
+      }
+      return merged;
+    }
+  }
+
+  function addPlayDay(entry, startMs, endMs) {
+    const day = Math.floor(startMs / 86400000);
+    const playDay = entry.playDays.get(day);
+    if (!playDay) {
+      entry.playDays.set(day, { startMs, firstEndMs: endMs, lastEndMs: endMs });
+      return;
+    }
+    if (startMs < playDay.startMs || (startMs === playDay.startMs && endMs < playDay.firstEndMs)) {
+      playDay.startMs = startMs;
+      playDay.firstEndMs = endMs;
+    }
+    playDay.lastEndMs = Math.max(playDay.lastEndMs, endMs);
+  }
+
+  function longestPlayGap(entry) {
+    const playDays = Array.from(entry.playDays.values()).sort(
+      (a, b) => a.startMs - b.startMs || a.firstEndMs - b.firstEndMs
+    );
+    let longest = null;
+    let lastEndMs = null;
+    for (const playDay of playDays) {
+      if (lastEndMs !== null) {
+        const gapMs = playDay.startMs - lastEndMs;
+        if (!longest || gapMs > longest.gapMs) {
+          longest = { gapMs, fromMs: lastEndMs, toMs: playDay.firstEndMs };
+        }
+      }
+      lastEndMs = Math.max(lastEndMs ?? playDay.lastEndMs, playDay.lastEndMs);
+    }
+    return longest;
+  }
+
+  function summarizeSpokenAudio(showMap, episodeMap, monthlyShowMap) {
+    const finishedLengthsByShow = new Map();
+    for (const entry of episodeMap.values()) {
+      if (!entry.finishedMs) {
+        continue;
+      }
+      const lengths = finishedLengthsByShow.get(entry.showKey) || [];
+      lengths.push(entry.finishedMs);
+      finishedLengthsByShow.set(entry.showKey, lengths);
+    }
+
+    const podcastEpisodeRows = Array.from(episodeMap.values()).map((entry) => {
+      const estimatedLengthMs =
+        entry.finishedMs || median(finishedLengthsByShow.get(entry.showKey) || []);
+      return {
+        type: entry.type,
+        show: entry.show,
+        showKey: entry.showKey,
+        episode: entry.episode,
+        uri: entry.uri,
+        playCount: entry.playCount,
+        totalMs: entry.totalMs,
+        totalMinutes: entry.totalMs / 60000,
+        finished: entry.finishedMs > 0,
+        estimatedLengthMinutes: estimatedLengthMs ? estimatedLengthMs / 60000 : null,
+        completion: estimatedLengthMs ? Math.min(1, entry.totalMs / estimatedLengthMs) : null,
+      };
+    });
+    podcastEpisodeRows.sort(compareShowsByListenTime);
+
+    const episodeRowsByShow = new Map();
+    for (const row of podcastEpisodeRows) {
+      const rows = episodeRowsByShow.get(row.showKey) || [];
+      rows.push(row);
+      episodeRowsByShow.set(row.showKey, rows);
+    }
+
+    const podcastShowRows = Array.from(showMap.entries()).map(([showKey, entry]) => {
+      const episodes = episodeRowsByShow.get(showKey) || [];
+      const estimated = episodes.filter((row) => row.completion !== null);
+      return {
+        type: entry.type,
+        show: entry.show,
+        playCount: entry.playCount,
+        episodeCount: entry.episodeKeys.size,
+        episodesFinished: episodes.filter((row) => row.finished).length,
+        averageCompletion: estimated.length
+          ? estimated.reduce((sum, row) => sum + row.completion, 0) / estimated.length
+          : null,
+        totalMs: entry.totalMs,
+        totalMinutes: entry.totalMs / 60000,
+        totalHours: entry.totalMs / 3600000,
+      };
+    });
+    podcastShowRows.sort(compareShowsByListenTime);
+
+    const topShowsPerMonthRows = [];
+    const sortedMonths = Array.from(monthlyShowMap.keys()).sort((a, b) => a.localeCompare(b));
+    for (const month of sortedMonths) {
+      const ranked = Array.from(monthlyShowMap.get(month).entries())
+        .sort((a, b) => (b[1].totalMs - a[1].totalMs) || (b[1].playCount - a[1].playCount))
+        .slice(0, 3);
+
+      ranked.forEach(([showKey, monthEntry], index) => {
+        const [type, show] = splitSongKey(showKey);
+        topShowsPerMonthRows.push({
+          month,
+          monthLabel: formatMonthLabel(month),
+          rank: index + 1,
+          type,
+          show,
+          playCount: monthEntry.playCount,
+          minutesListened: monthEntry.totalMs / 60000,
+        });
+      });
+    }
+
+    const totalPodcastMs = podcastShowRows.reduce((sum, row) => sum + row.totalMs, 0);
+
+    return {
+      podcastShowRows,
+      podcastEpisodeRows,
+      topShowsPerMonthRows,
+      totalPodcastMs,
+      totalPodcastMinutes: totalPodcastMs / 60000,
+    };
+  }
+
+  function summarizeSessions(sessions, gap, clock) {
+    const sessionRows = sessions.map((session) => ({
+      start: formatZonedDateTime(new Date(session.startMs), clock),
+      end: formatZonedDateTime(new Date(session.endMs), clock),
+      durationMs: session.endMs - session.startMs,
+      durationMinutes: (session.endMs - session.startMs) / 60000,
+      listenedMinutes: session.listenedMs / 60000,
+      trackCount: session.plays.length,
+      platform: mostCommonCounterKey(session.platformCounter),
+    }));
+
+    const platformMap = new Map();
+    for (const row of sessionRows) {
+      const entry = platformMap.get(row.platform) || {
+        platform: row.platform,
+        sessionCount: 0,
+        totalDurationMs: 0,
+        trackCount: 0,
+        listenedMinutes: 0,
+      };
+      entry.sessionCount += 1;
+      entry.totalDurationMs += row.durationMs;
+      entry.trackCount += row.trackCount;
+      entry.listenedMinutes += row.listenedMinutes;
+      platformMap.set(row.platform, entry);
+    }
+    const sessionsByPlatformRows = Array.from(platformMap.values())
+      .map((entry) => ({
+        platform: entry.platform,
+        sessionCount: entry.sessionCount,
+        averageMinutes: entry.totalDurationMs / entry.sessionCount / 60000,
+        averageTracks: entry.trackCount / entry.sessionCount,
+        listenedMinutes: entry.listenedMinutes,
+      }))
+      .sort((a, b) => (b.sessionCount - a.sessionCount) || a.platform.localeCompare(b.platform));
+
+    let longestIndex = -1;
+    sessionRows.forEach((row, index) => {
+      if (longestIndex < 0 || row.durationMs > sessionRows[longestIndex].durationMs) {
+        longestIndex = index;
+      }
+    });
+
+    const longestSession =
+      longestIndex < 0
+        ? null
+        : {
+            ...sessionRows[longestIndex],
+            tracks: sessions[longestIndex].plays
+              .sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs)
+              .map((play) => ({
+                start: formatZonedDateTime(new Date(play.startMs), clock),
+                title: play.entry.song || play.entry.episode,
+                artist: play.entry.artist || play.entry.show,
+                minutesPlayed: play.msPlayed / 60000,
+                platform: play.platform,
+              })),
+          };
+
+    const totalDurationMs = sessionRows.reduce((sum, row) => sum + row.durationMs, 0);
+    const totalTracks = sessionRows.reduce((sum, row) => sum + row.trackCount, 0);
+
+    return {
+      sessionGapMinutes: gap,
+      sessionCount: sessionRows.length,
+      averageSessionMinutes: sessionRows.length ? totalDurationMs / sessionRows.length / 60000 : 0,
+      longestSessionMinutes: longestSession ? longestSession.durationMinutes : 0,
+      averageTracksPerSession: sessionRows.length ? totalTracks / sessionRows.length : 0,
+      sessionRows,
+      sessionsByPlatformRows,
+      longestSession,
+    };
+  }
+
+  function summarizeDiscovery(songMap, artistMap, monthlySongMap, clock) {
+    const monthOf = (ms) => timestampToMonthKey(clock.localDate(new Date(ms)));
+    const newSongsByMonth = new Map();
+    const newArtistsByMonth = new Map();
+    for (const entry of songMap.values()) {
+      incrementCounter(newSongsByMonth, monthOf(entry.firstMs));
+    }
+    for (const entry of artistMap.values()) {
+      incrementCounter(newArtistsByMonth, monthOf(entry.firstMs));
+    }
+
+    const discoveryMonthRows = Array.from(monthlySongMap.keys())
+      .sort((a, b) => a.localeCompare(b))
+      .map((month) => {
+        const uniqueSongs = monthlySongMap.get(month).size;
+        const newSongs = newSongsByMonth.get(month) || 0;
+        return {
+          month,
+          monthLabel: formatMonthLabel(month),
+          newSongs,
+          newArtists: newArtistsByMonth.get(month) || 0,
+          uniqueSongs,
+          discoveryRate: uniqueSongs ? newSongs / uniqueSongs : 0,
+        };
+      });
+
+    const rediscoveryRows = Array.from(songMap.values())
+      .map((entry) => [entry, longestPlayGap(entry)])
+      .filter(([, gap]) => gap && gap.gapMs >= REDISCOVERY_MIN_GAP_DAYS * 86400000)
+      .map(([entry, gap]) => ({
+        song: entry.song,
+        artist: entry.artist,
+        gapDays: gap.gapMs / 86400000,
+        lastPlayedBefore: formatZonedDateTime(new Date(gap.fromMs), clock),
+        returnedOn: formatZonedDateTime(new Date(gap.toMs), clock),
+        playCount: entry.playCount,
+      }))
+      .sort((a, b) => b.gapDays - a.gapDays || a.song.localeCompare(b.song));
+
+    return {
+      discoveryMonthRows,
+      rediscoveryRows,
+      longestRediscovery: rediscoveryRows[0] || null,
+    };
+  }
+
+  function summarizeHourWeekday(hourWeekdayMs, hourWeekdayPlays) {
+    const heatmapRows = WEEKDAY_NAMES.map((weekday, index) => ({
+      weekday,
+      minutesByHour: hourWeekdayMs[index].map((ms) => ms / 60000),
+      playsByHour: [...hourWeekdayPlays[index]],
+      totalMinutes: hourWeekdayMs[index].reduce((sum, ms) => sum + ms, 0) / 60000,
+    }));
+
+    const hourRows = Array.from({ length: 24 }, (_, hour) => ({
+      hour,
+      minutes: heatmapRows.reduce((sum, row) => sum + row.minutesByHour[hour], 0),
+    }));
+    const busiestHour = hourRows.reduce(
+      (best, row) => (row.minutes > best.minutes ? row : best),
+      hourRows[0]
+    );
+    const busiestWeekday = heatmapRows.reduce(
+      (best, row) => (row.totalMinutes > best.totalMinutes ? row : best),
+      heatmapRows[0]
+    );
+
+    return {
+      heatmapRows,
+      mostActiveHour: busiestHour.minutes > 0 ? busiestHour : null,
+      mostActiveWeekday:
+        busiestWeekday.totalMinutes > 0
+          ? { weekday: busiestWeekday.weekday, minutes: busiestWeekday.totalMinutes }
+          : null,
+    };
+  }
+
+  function recordKind(record) {
+    if (isAudiobookRecord(record)) {
+      return "audiobook";
+    }
+    if (isEpisodeRecord(record)) {
+      return "episode";
+    }
+    if (isSongRecord(record)) {
+      return "song";
+    }
+    return "";
+  }
+
+  function isSongRecord(record) {
+    const trackName = cleanString(record.master_metadata_track_name);
+    const artistName = cleanString(record.master_metadata_album_artist_name);
+
+    if (!trackName || !artistName) {
+      return false;
+    }
+    if (isEpisodeRecord(record) || isAudiobookRecord(record)) {
+      return false;
+    }
+    return true;
+  }
+
+  function isEpisodeRecord(record) {
+    const episodeName = cleanString(record.episode_name);
+    const episodeUri = cleanString(record.spotify_episode_uri);
+    return Boolean(episodeName || episodeUri);
+  }
+
+  function isAudiobookRecord(record) {
+    const bookTitle = cleanString(record.audiobook_title);
+    const bookUri = cleanString(record.audiobook_uri);
+    return Boolean(bookTitle || bookUri);
+  }
+
+  function spokenAudioFields(record, kind) {
+    if (kind === "audiobook") {
+      const chapterUri = cleanString(record.audiobook_chapter_uri);
+      return {
+        type: "Audiobook",
+        show: cleanString(record.audiobook_title) || "Unknown Audiobook",
+        episode: cleanString(record.audiobook_chapter_title) || chapterUri || "Unknown Chapter",
+        uri: chapterUri || cleanString(record.audiobook_uri),
+      };
+    }
+
+    const episodeUri = cleanString(record.spotify_episode_uri);
+    return {
+      type: "Podcast",
+      show: cleanString(record.episode_show_name) || "Unknown Show",
+      episode: cleanString(record.episode_name) || episodeUri || "Unknown Episode",
+      uri: episodeUri,
+    };
+  }
+
+  function parseTimestamp(value) {
+    if (typeof value !== "string" || !value.trim()) {
+      return null;
+    }
+
+    let date = new Date(value);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+
+    const maybeIso = value.includes("T") ? value : value.replace(" ", "T");
+    const withZone = maybeIso.endsWith("Z") ? maybeIso : `${maybeIso}Z`;
+    date = new Date(withZone);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    return date;
+  }
+
+  function timestampToMonthKey(localDate) {
+    const year = localDate.getUTCFullYear();
+    const month = String(localDate.getUTCMonth() + 1).padStart(2, "0");
+    return `${year}-${month}`;
+  }
+
+  function localWeekdayIndex(localDate) {
+    return (localDate.getUTCDay() + 6) % 7;
+  }
+
+  function formatHourLabel(hour) {
+    return `${String(hour).padStart(2, "0")}:00`;
+  }
+
+  function timestampToDayKey(localDate) {
+    const month = String(localDate.getUTCMonth() + 1).padStart(2, "0");
+    const day = String(localDate.getUTCDate()).padStart(2, "0");
+    return `${localDate.getUTCFullYear()}-${month}-${day}`;
+  }
+
+  function addIncognitoCounts(entry, incognito, counted, skipped, msPlayed) {
+    if (!incognito) {
+      return;
+    }
+    entry.incognitoPlays += counted ? 1 : 0;
+    entry.incognitoStreams += 1;
+    entry.incognitoSkips += skipped ? 1 : 0;
+    entry.incognitoMs += msPlayed;
+  }
+
+  function withoutIncognito(counts) {
+    return {
+      playCount: counts.playCount - counts.incognitoPlays,
+      streamCount: counts.streamCount - counts.incognitoStreams,
+      skipCount: counts.skipCount - counts.incognitoSkips,
+      totalMs: counts.totalMs - counts.incognitoMs,
+    };
+  }
+
+  function offlineTimestampMs(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      return null;
+    }
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  function createPlayCounter(playRule, trackLengths) {
+    const rule = playRule || { mode: "all" };
+    if (rule.mode === "30s") {
+      return (record, msPlayed) => msPlayed >= STREAM_COUNT_SECONDS * 1000;
+    }
+    if (rule.mode === "custom") {
+      const minMs = Math.max(0, Number(rule.minSeconds) || 0) * 1000;
+      return (record, msPlayed) => msPlayed >= minMs;
+    }
+    if (rule.mode === "percent") {
+      const ratio = Math.min(100, Math.max(0, Number(rule.percent) || 0)) / 100;
+      return (record, msPlayed) => {
+        const lengthMs = trackLengths?.get(trackLengthKey(record)) || 0;
+        return msPlayed >= lengthMs * ratio;
+      };
+    }
+    return () => true;
+  }
+
+  function describePlayRule(playRule) {
+    const rule = playRule || { mode: "all" };
+    if (rule.mode === "30s") {
+      return `At least ${STREAM_COUNT_SECONDS} seconds played`;
+    }
+    if (rule.mode === "custom") {
+      return `At least ${round2(Math.max(0, Number(rule.minSeconds) || 0))} seconds played`;
+    }
+    if (rule.mode === "percent") {
+      return `At least ${round2(Number(rule.percent) || 0)}% of the estimated track length played`;
+    }
+    return "Every stream counts";
+  }
+
+  function trackLengthKey(record) {
+    return (
+      cleanString(record.spotify_track_uri) ||
+      makeSongKey(
+        cleanString(record.master_metadata_track_name),
+        cleanString(record.master_metadata_album_artist_name)
+      )
+    );
+  }
+
+  function trackIdentityMode(value) {
+    return TRACK_IDENTITY_MODES.includes(value) ? value : "name";
+  }
+
+  function describeTrackIdentity(mode) {
+    if (mode === "uri") {
+      return "Spotify track URI";
+    }
+    if (mode === "normalized") {
+      return "Normalized title + artist (remaster/live/feat. suffixes ignored)";
+    }
+    return "Track name + artist";
+  }
+
+  function trackIdentityKey(mode, song, artist, uri) {
+    if (mode === "uri" && uri) {
+      return uri;
+    }
+    if (mode === "normalized") {
+      return makeSongKey(normalizeTrackTitle(song), artist.toLowerCase());
+    }
+    return makeSongKey(song, artist);
+  }
+
+  function normalizeTrackTitle(title) {
+    const stripped = TITLE_VARIANT_PATTERNS.reduce(
+      (text, pattern) => text.replace(pattern, ""),
+      title
+    );
+    return (stripped.trim() || title).replace(/\s+/g, " ").toLowerCase();
+  }
+
+  function addTrackVariant(songEntry, song, artist, uri, counted, msPlayed, playedMs) {
+    const variantKey = `${makeSongKey(song, artist)}${KEY_SEP}${uri}`;
+    const variant = songEntry.variants.get(variantKey) || {
+      song,
+      artist,
+      uri,
+      playCount: 0,
+      streamCount: 0,
+      totalMs: 0,
+      firstMs: playedMs,
+    };
+    variant.playCount += counted ? 1 : 0;
+    variant.streamCount += 1;
+    variant.totalMs += msPlayed;
+    variant.firstMs = Math.min(variant.firstMs, playedMs);
+    songEntry.variants.set(variantKey, variant);
+
+    if (!songEntry.displayVariant || compareTrackVariants(variant, songEntry.displayVariant) < 0) {
+      songEntry.displayVariant = variant;
+      songEntry.song = variant.song;
+      songEntry.artist = variant.artist;
+    }
+  }
+
+  function compareTrackVariants(a, b) {
+    return (
+      (b.playCount - a.playCount) ||
+      (a.firstMs - b.firstMs) ||
+      a.song.localeCompare(b.song) ||
+      a.artist.localeCompare(b.artist) ||
+      a.uri.localeCompare(b.uri)
+    );
+  }
+
+  function sessionGapMinutes(value) {
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_SESSION_GAP_MINUTES;
+  }
+
+  function skipThresholdSeconds(value) {
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SKIP_THRESHOLD_SECONDS;
+  }
+
+  function dayKeyToNumber(dayKey) {
+    const [year, month, day] = dayKey.split("-").map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+  }
+
+  function createRecordFilter(filters, clock) {
+    const includeArtists = new Set(filters.includeArtists.map((name) => name.toLowerCase()));
+    const excludeArtists = new Set(filters.excludeArtists.map((name) => name.toLowerCase()));
+    const platforms = filters.platforms.map((term) => term.toLowerCase());
+    const countries = new Set(filters.countries.map((code) => code.toUpperCase()));
+
+    return (record) => {
+      if (filters.dateFrom || filters.dateTo) {
+        const timestamp = parseTimestamp(record.ts);
+        if (timestamp) {
+          const dayKey = timestampToDayKey(clock.localDate(timestamp));
+          if (filters.dateFrom && dayKey < filters.dateFrom) {
+            return false;
+          }
+          if (filters.dateTo && dayKey > filters.dateTo) {
+            return false;
+          }
+        }
+      }
+
+      const artist = cleanString(record.master_metadata_album_artist_name).toLowerCase();
+      if (includeArtists.size && !includeArtists.has(artist)) {
+        return false;
+      }
+      if (artist && excludeArtists.has(artist)) {
+        return false;
+      }
+
+      if (platforms.length) {
+        const platform = cleanString(record.platform).toLowerCase();
+        if (!platforms.some((term) => platform.includes(term))) {
+          return false;
+        }
+      }
+
+      if (countries.size && !countries.has(cleanString(record.conn_country).toUpperCase())) {
+        return false;
+      }
+
+      if (filters.minMsPlayed > 0 && sanitizeMs(record.ms_played) < filters.minMsPlayed) {
+        return false;
+      }
+
+      return (
+        matchesToggle(filters.shuffle, record.shuffle === true) &&
+        matchesToggle(filters.incognito, record.incognito_mode === true) &&
+        matchesToggle(filters.offline, record.offline === true)
+      );
+    };
+  }
+
+  function matchesToggle(setting, value) {
+    if (setting === "on" || setting === "only") {
+      return value;
+    }
+    if (setting === "off" || setting === "exclude") {
+      return !value;
+    }
+    return true;
+  }
+
+  function describeFilters(filters) {
+    const parts = [];
+    if (filters.dateFrom || filters.dateTo) {
+      parts.push(`Dates: ${filters.dateFrom || "start"} to ${filters.dateTo || "end"}`);
+    }
+    if (filters.includeArtists.length) {
+      parts.push(`Only artists: ${filters.includeArtists.join(", ")}`);
+    }
+    if (filters.excludeArtists.length) {
+      parts.push(`Excluded artists: ${filters.excludeArtists.join(", ")}`);
+    }
+    if (filters.platforms.length) {
+      parts.push(`Platform contains: ${filters.platforms.join(", ")}`);
+    }
+    if (filters.countries.length) {
+      parts.push(`Countries: ${filters.countries.join(", ")}`);
+    }
+    if (filters.minMsPlayed > 0) {
+      parts.push(`Min play time: ${round2(filters.minMsPlayed / 1000)}s`);
+    }
+    if (filters.shuffle !== "any") {
+      parts.push(`Shuffle ${filters.shuffle}`);
+    }
+    if (filters.incognito !== "any") {
+      parts.push(filters.incognito === "only" ? "Incognito only" : "Incognito excluded");
+    }
+    if (filters.offline !== "any") {
+      parts.push(filters.offline === "only" ? "Offline only" : "Offline excluded");
+    }
+    return parts.length ? parts : ["None"];
+  }
+
+  function createZonedClock(timeZone) {
+    const zone = isValidTimeZone(timeZone) ? timeZone : "UTC";
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    const offsetCache = new Map();
+
+    function offsetMs(date) {
+      const slot = Math.floor(date.getTime() / OFFSET_CACHE_SLOT_MS);
+      let offset = offsetCache.get(slot);
+      if (offset === undefined) {
+        const parts = {};
+        for (const part of formatter.formatToParts(date)) {
+          parts[part.type] = Number(part.value);
+        }
+        const wallClockMs = Date.UTC(
+          parts.year,
+          parts.month - 1,
+          parts.day,
+          parts.hour,
+          parts.minute,
+          parts.second
+        );
+        offset = wallClockMs - Math.floor(date.getTime() / 1000) * 1000;
+        offsetCache.set(slot, offset);
+      }
+      return offset;
+    }
+
+    return {
+      timeZone: zone,
+      localDate(date) {
+        return new Date(date.getTime() + offsetMs(date));
+      },
+    };
+  }
+
+  function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || !timeZone) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function browserTimeZone() {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return isValidTimeZone(zone) ? zone : "UTC";
+  }
+
+  function formatZonedDateTime(date, clock) {
+    return clock.localDate(date).toISOString().replace("T", " ").slice(0, 19);
+  }
+
+  function cleanString(value) {
+    if (typeof value !== "string") {
+      return "";
+    }
+    return value.trim();
+  }
+
+  function sanitizeMs(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) {
+      return 0;
+    }
+    if (num < 0) {
+      return 0;
+    }
+    return Math.round(Math.min(num, MAX_MS_PLAYED));
+  }
+
+  function incrementCounter(counter, value) {
+    if (!value) {
+      return;
+    }
+    counter.set(value, (counter.get(value) || 0) + 1);
+  }
+
+  function mostCommonCounterKey(counter) {
+    let bestKey = "";
+    let bestCount = -1;
+    for (const [key, count] of counter.entries()) {
+      if (count > bestCount) {
+        bestKey = key;
+        bestCount = count;
+      }
+    }
+    return bestKey;
+  }
+
+  function makeSongKey(song, artist) {
+    return `${song}${KEY_SEP}${artist}`;
+  }
+
+  function splitSongKey(songKey) {
+    const splitIndex = songKey.indexOf(KEY_SEP);
+    if (splitIndex < 0) {
+      return [songKey, ""];
+    }
+    return [songKey.slice(0, splitIndex), songKey.slice(splitIndex + 1)];
+  }
+
+  function compareSongsByPlayCount(a, b) {
+    return (
+      (b.playCount - a.playCount) ||
+      (b.totalMs - a.totalMs) ||
+      (b.skipCount - a.skipCount) ||
+      a.artist.localeCompare(b.artist) ||
+      a.song.localeCompare(b.song)
+    );
+  }
+
+  function compareSongsByListenTime(a, b) {
+    return (
+      (b.totalMs - a.totalMs) ||
+      (b.playCount - a.playCount) ||
+      a.artist.localeCompare(b.artist) ||
+      a.song.localeCompare(b.song)
+    );
+  }
+
+  function compareSongsBySkipCount(a, b) {
+    return (
+      (b.skipCount - a.skipCount) ||
+      (b.playCount - a.playCount) ||
+      a.artist.localeCompare(b.artist) ||
+      a.song.localeCompare(b.song)
+    );
+  }
+
+  function compareMonthlySongRank(a, b) {
+    const [songA, statA] = a;
+    const [songB, statB] = b;
+
+    return (
+      (statB.playCount - statA.playCount) ||
+      (statB.totalMs - statA.totalMs) ||
+      songA.artist.localeCompare(songB.artist) ||
+      songA.song.localeCompare(songB.song)
+    );
+  }
+
+  function compareArtistsByTime(a, b) {
+    return (
+      (b.totalMs - a.totalMs) ||
+      (b.playCount - a.playCount) ||
+      a.artist.localeCompare(b.artist)
+    );
+  }
+
+  function compareArtistsByPlayCount(a, b) {
+    return (
+      (b.playCount - a.playCount) ||
+      (b.totalMs - a.totalMs) ||
+      a.artist.localeCompare(b.artist)
+    );
+  }
+
+  function compareAlbumsByTime(a, b) {
+    return (
+      (b.totalMs - a.totalMs) ||
+      (b.playCount - a.playCount) ||
+      a.artist.localeCompare(b.artist) ||
+      a.album.localeCompare(b.album)
+    );
+  }
+
+  function compareShowsByListenTime(a, b) {
+    return (
+      (b.totalMs - a.totalMs) ||
+      (b.playCount - a.playCount) ||
+      a.show.localeCompare(b.show) ||
+      (a.episode || "").localeCompare(b.episode || "")
+    );
+  }
+
+  function pickPeak(rows, valueAccessor, tieBreakerAccessor) {
+    if (!rows.length) {
+      return null;
+    }
+    let best = rows[0];
+
+    for (let index = 1; index < rows.length; index += 1) {
+      const current = rows[index];
+      const currentValue = valueAccessor(current);
+      const bestValue = valueAccessor(best);
+
+      if (
+        currentValue > bestValue ||
+        (currentValue === bestValue &&
+          String(tieBreakerAccessor(current)) > String(tieBreakerAccessor(best)))
+      ) {
+        best = current;
+      }
+    }
+
+    if ("month" in best) {
+      return {
+        month: best.month,
+        monthLabel: best.monthLabel,
+        totalMs: best.totalMs,
+        minutes: best.minutes,
+      };
+    }
+
+    return {
+      year: best.year,
+      totalMs: best.totalMs,
+      minutes: best.minutes,
+    };
+  }
+
+  function formatMonthLabel(monthKey) {
+    const parts = monthKey.split("-");
+    if (parts.length !== 2) {
+      return monthKey;
+    }
+    const year = Number(parts[0]);
+    const month = Number(parts[1]);
+    if (!Number.isFinite(year) || !Number.isFinite(month) || month < 1 || month > 12) {
+      return monthKey;
+    }
+    return `${MONTH_NAMES[month - 1]} ${year}`;
+  }
+
+  function median(values) {
+    if (!values.length) {
+      return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  function round2(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+  }
+
+  function round4(value) {
+    return Math.round((value + Number.EPSILON) * 10000) / 10000;
+  }
+
+  function errorMessage(error) {
+    if (error instanceof Error) {
+      return error.message;
+    }
+    return String(error);
+  }
+
+  function throwIfCancelled(hooks) {
+    if (hooks.isCancelled()) {
+      throw cancelledError();
+    }
+  }
+
+  function cancelledError() {
+    const error = new Error("Processing cancelled.");
+    error.cancelled = true;
+    return error;
+  }
+
+  function formatNumber(value) {
+    return Number(value).toLocaleString();
+  }
+
+  self.ReportCore = {
+    runReportJob,
+    runImportJob,
+    browserTimeZone,
+    cancelledError,
+    compareSongsByPlayCount,
+    createZonedClock,
+    errorMessage,
+    formatHourLabel,
+    formatMonthLabel,
+    formatNumber,
+    formatZonedDateTime,
+    round2,
+    round4,
+  };
+})();
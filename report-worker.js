@@ -0,0 +1,33 @@
+(() => {
+  "use strict";
+
+  importScripts(
+    "vendor/jszip.min.js",
+    "library-store.js",
+    "report-core.js"
+  );
+
+  const { errorMessage, runImportJob, runReportJob } = self.ReportCore;
+
+  self.addEventListener("message", async (event) => {
+    const { type, source, options, files, target } = event.data || {};
+    if (type !== "run" && type !== "import") {
+      return;
+    }
+
+    const hooks = {
+      status: (message, level = "info") => self.postMessage({ type: "status", message, level }),
+      isCancelled: () => false,
+    };
+
+    try {
+      const result =
+        type === "import"
+          ? await runImportJob(files, target, hooks)
+          : await runReportJob(source, options, hooks);
+      self.postMessage({ type: "done", result });
+    } catch (error) {
+      self.postMessage({ type: "error", message: errorMessage(error) });
+    }
+  });
+})();
@@ -0,0 +1,76 @@
+(() => {
+  "use strict";
+
+  const CACHE_NAME = "spotify-report-builder-v1";
+  const APP_SHELL = [
+    "./",
+    "index.html",
+    "styles.css",
+    "app.js",
+    "report-core.js",
+    "report-worker.js",
+    "library-store.js",
+    "manifest.webmanifest",
+    "icons/icon.svg",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "vendor/jszip.min.js",
+    "vendor/xlsx.full.min.js",
+    "vendor/chart.umd.js",
+    "vendor/jspdf.umd.min.js",
+    "vendor/jspdf.plugin.autotable.min.js",
+  ];
+
+  self.addEventListener("install", (event) => {
+    event.waitUntil(
+      caches
+        .open(CACHE_NAME)
+        .then((cache) => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting())
+    );
+  });
+
+  self.addEventListener("activate", (event) => {
+    event.waitUntil(
+      caches
+        .keys()
+        .then((keys) =>
+          Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key)))
+        )
+        .then(() => self.clients.claim())
+    );
+  });
+
+  self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+      return;
+    }
+    event.respondWith(respondFromCache(request));
+  });
+
+  async function respondFromCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refreshed = fetch(request).then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+    if (cached) {
+      refreshed.catch(() => {});
+      return cached;
+    }
+    try {
+      return await refreshed;
+    } catch (error) {
+      const shell = request.mode === "navigate" ? await cache.match("index.html") : null;
+      if (shell) {
+        return shell;
+      }
+      throw error;
+    }
+  }
+})();